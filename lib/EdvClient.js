@@ -4,6 +4,7 @@
 import {assert, assertInvocationSigner} from './assert.js';
 import {DEFAULT_HEADERS} from '@digitalbazaar/http-client';
 import {EdvClientCore} from './EdvClientCore.js';
+import {EdvMigrator} from './EdvMigrator.js';
 import {HttpsTransport} from './HttpsTransport.js';
 
 /**
@@ -45,6 +46,12 @@ export class EdvClient extends EdvClientCore {
    *   a Promise that resolves a key ID to a DH public key.
    * @param {string} [options.cipherVersion='recommended'] - Sets the cipher
    *   version to either "recommended" or "fips".
+   * @param {object} [options.cache] - Options for the cache of blinded
+   *   values: `{max, ttl, store}`.
+   * @param {object} [options.indexLimits] - Limits on the size of each
+   *   document's index entry: `{maxEntryAttributes, maxAttributeValues}`.
+   * @param {number} [options.decryptConcurrency] - The maximum number of
+   *   documents to decrypt at once; by default, there is no limit.
    * @param {string} [options._attributeVersion] - Sets the blinded attribute
    *   version to use; for internal use only.
    *
@@ -52,8 +59,8 @@ export class EdvClient extends EdvClientCore {
    */
   constructor({
     capability, defaultHeaders, hmac, id, invocationSigner, httpsAgent,
-    keyAgreementKey, keyResolver, cipherVersion = 'recommended',
-    _attributeVersion
+    keyAgreementKey, keyResolver, cipherVersion = 'recommended', cache,
+    indexLimits, decryptConcurrency, _attributeVersion
   } = {}) {
     if(capability !== undefined) {
       assert(capability, 'capability', 'object');
@@ -67,7 +74,8 @@ export class EdvClient extends EdvClientCore {
     }
 
     super({
-      hmac, id, keyAgreementKey, keyResolver, cipherVersion, _attributeVersion
+      hmac, id, keyAgreementKey, keyResolver, cipherVersion, cache,
+      indexLimits, decryptConcurrency, _attributeVersion
     });
 
     // a future version could set a default transport here to wrap this, but
@@ -167,6 +175,193 @@ export class EdvClient extends EdvClientCore {
     });
   }
 
+  /**
+   * @inheritdoc
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the document to update.
+   * @param {Function} options.mutator - A function that applies the change
+   *   to a decrypted document.
+   * @param {object} [options.recipients=[]] - A set of JWE recipients to
+   *   encrypt the document for; if present, recipients will be added to any
+   *   existing recipients.
+   * @param {Function} [options.keyResolver=this.keyResolver] - A function that
+   *   returns a Promise that resolves a key ID to a DH public key.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving shared KEKs for wrapping and
+   *   unwrapping content encryption keys.
+   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
+   *   indexable attributes.
+   * @param {number} [options.maxRetries=3] - The maximum number of times to
+   *   retry after a conflict.
+   * @param {number} [options.retryDelay=100] - The number of milliseconds to
+   *   wait, on average, before the first retry.
+   * @param {object|string} [options.capability=this.capability] - The
+   *   authorization capability (zcap) to use to authorize the operation.
+   * @param {object} [options.invocationSigner=this.invocationSigner] - An API
+   *   with an `id` property and a `sign` function for signing a capability
+   *   invocation.
+   *
+   * @returns {Promise<object>} - Resolves to the updated document.
+   */
+  async updateWithRetry({
+    id, mutator, recipients = [], keyResolver = this.keyResolver,
+    keyAgreementKey = this.keyAgreementKey, hmac = this.hmac, maxRetries,
+    retryDelay, capability = this.capability,
+    invocationSigner = this.invocationSigner
+  } = {}) {
+    assertInvocationSigner(invocationSigner);
+    const {defaultHeaders, httpsAgent, id: edvId} = this;
+    const transport = new HttpsTransport({
+      capability, defaultHeaders, edvId, httpsAgent, invocationSigner
+    });
+    return super.updateWithRetry({
+      id, mutator, recipients, keyResolver, keyAgreementKey, hmac,
+      maxRetries, retryDelay, transport
+    });
+  }
+
+  /**
+   * @inheritdoc
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the document to patch.
+   * @param {Array|object} options.patch - The JSON Patch operations or the
+   *   JSON Merge Patch to apply.
+   * @param {string} [options.format='json-patch'] - The format of `patch`:
+   *   "json-patch" or "merge-patch".
+   * @param {number} [options.sequence] - The sequence number of the version
+   *   of the document that the patch was made for.
+   * @param {boolean} [options.rebase=false] - Set to `true` to apply the
+   *   patch to the latest version of the document if it has changed.
+   * @param {object} [options.recipients=[]] - A set of JWE recipients to
+   *   encrypt the document for; if present, recipients will be added to any
+   *   existing recipients.
+   * @param {Function} [options.keyResolver=this.keyResolver] - A function that
+   *   returns a Promise that resolves a key ID to a DH public key.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving shared KEKs for wrapping and
+   *   unwrapping content encryption keys.
+   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
+   *   indexable attributes.
+   * @param {number} [options.maxRetries=3] - The maximum number of times to
+   *   rebase the patch if `rebase` is set.
+   * @param {number} [options.retryDelay=100] - The number of milliseconds to
+   *   wait, on average, before the first rebase.
+   * @param {object|string} [options.capability=this.capability] - The
+   *   authorization capability (zcap) to use to authorize the operation.
+   * @param {object} [options.invocationSigner=this.invocationSigner] - An API
+   *   with an `id` property and a `sign` function for signing a capability
+   *   invocation.
+   *
+   * @returns {Promise<object>} - Resolves to the patched document.
+   */
+  async patch({
+    id, patch, format, sequence, rebase, recipients = [],
+    keyResolver = this.keyResolver, keyAgreementKey = this.keyAgreementKey,
+    hmac = this.hmac, maxRetries, retryDelay, capability = this.capability,
+    invocationSigner = this.invocationSigner
+  } = {}) {
+    assertInvocationSigner(invocationSigner);
+    const {defaultHeaders, httpsAgent, id: edvId} = this;
+    const transport = new HttpsTransport({
+      capability, defaultHeaders, edvId, httpsAgent, invocationSigner
+    });
+    return super.patch({
+      id, patch, format, sequence, rebase, recipients, keyResolver,
+      keyAgreementKey, hmac, maxRetries, retryDelay, transport
+    });
+  }
+
+  /**
+   * @inheritdoc
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<object>} options.docs - The documents to insert.
+   * @param {object[]} [options.recipients=[]] - A set of JWE recipients
+   *   to encrypt the documents for.
+   * @param {Function} [options.keyResolver=this.keyResolver] - A function that
+   *   returns a Promise that resolves a key ID to a DH public key.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving shared KEKs for wrapping content
+   *   encryption keys.
+   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
+   *   indexable attributes.
+   * @param {number} [options.concurrency=10] - The maximum number of
+   *   documents to encrypt at once.
+   * @param {number} [options.batchSize=100] - The maximum number of
+   *   documents to send to the EDV server at once.
+   * @param {object|string} [options.capability=this.capability] - The
+   *   authorization capability (zcap) to use to authorize the operation.
+   * @param {object} [options.invocationSigner=this.invocationSigner] - An API
+   *   with an `id` property and a `sign` function for signing a capability
+   *   invocation.
+   *
+   * @returns {Promise<Array<object>>} - Resolves to a result for each
+   *   document: `{id, doc}` or `{id, error}`.
+   */
+  async insertMany({
+    docs, recipients = [], keyResolver = this.keyResolver,
+    keyAgreementKey = this.keyAgreementKey, hmac = this.hmac, concurrency,
+    batchSize, capability = this.capability,
+    invocationSigner = this.invocationSigner
+  } = {}) {
+    assertInvocationSigner(invocationSigner);
+    const {defaultHeaders, httpsAgent, id: edvId} = this;
+    const transport = new HttpsTransport({
+      capability, defaultHeaders, edvId, httpsAgent, invocationSigner
+    });
+    return super.insertMany({
+      docs, recipients, keyResolver, keyAgreementKey, hmac, concurrency,
+      batchSize, transport
+    });
+  }
+
+  /**
+   * @inheritdoc
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<object>} options.docs - The documents to update.
+   * @param {object} [options.recipients=[]] - A set of JWE recipients to
+   *   encrypt the documents for; if present, recipients will be added to any
+   *   existing recipients.
+   * @param {Function} [options.keyResolver=this.keyResolver] - A function that
+   *   returns a Promise that resolves a key ID to a DH public key.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving shared KEKs for wrapping content
+   *   encryption keys.
+   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
+   *   indexable attributes.
+   * @param {number} [options.concurrency=10] - The maximum number of
+   *   documents to encrypt at once.
+   * @param {number} [options.batchSize=100] - The maximum number of
+   *   documents to send to the EDV server at once.
+   * @param {object|string} [options.capability=this.capability] - The
+   *   authorization capability (zcap) to use to authorize the operation.
+   * @param {object} [options.invocationSigner=this.invocationSigner] - An API
+   *   with an `id` property and a `sign` function for signing a capability
+   *   invocation.
+   *
+   * @returns {Promise<Array<object>>} - Resolves to a result for each
+   *   document: `{id, doc}` or `{id, error}`.
+   */
+  async updateMany({
+    docs, recipients = [], keyResolver = this.keyResolver,
+    keyAgreementKey = this.keyAgreementKey, hmac = this.hmac, concurrency,
+    batchSize, capability = this.capability,
+    invocationSigner = this.invocationSigner
+  } = {}) {
+    assertInvocationSigner(invocationSigner);
+    const {defaultHeaders, httpsAgent, id: edvId} = this;
+    const transport = new HttpsTransport({
+      capability, defaultHeaders, edvId, httpsAgent, invocationSigner
+    });
+    return super.updateMany({
+      docs, recipients, keyResolver, keyAgreementKey, hmac, concurrency,
+      batchSize, transport
+    });
+  }
+
   /**
    * @inheritdoc
    *
@@ -195,6 +390,108 @@ export class EdvClient extends EdvClientCore {
     return super.updateIndex({doc, hmac, transport});
   }
 
+  /**
+   * @inheritdoc
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.doc - The document to remove an index entry from.
+   * @param {string} [options.hmacId=this.hmac.id] - The ID of the HMAC of the
+   *   index entry to remove.
+   * @param {object|string} [options.capability=this.capability] - The
+   *   authorization capability (zcap) to use to authorize the operation.
+   * @param {object} [options.invocationSigner=this.invocationSigner] - An API
+   *   with an `id` property and a `sign` function for signing a capability
+   *   invocation.
+   *
+   * @returns {Promise} - Resolves once the operation completes.
+   */
+  async removeIndex({
+    doc, hmacId = this.hmac?.id,
+    capability = this.capability, invocationSigner = this.invocationSigner
+  } = {}) {
+    assertInvocationSigner(invocationSigner);
+    const {defaultHeaders, httpsAgent, id: edvId} = this;
+    const transport = new HttpsTransport({
+      capability, defaultHeaders, edvId, httpsAgent, invocationSigner
+    });
+    return super.removeIndex({doc, hmacId, transport});
+  }
+
+  /**
+   * @inheritdoc
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.hmacId - The ID of the HMAC of the index entries
+   *   to remove.
+   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
+   *   the attributes in the query; this may be the HMAC with `hmacId`.
+   * @param {object|Array} [options.equals] - An object with key-value
+   *   attribute pairs to match or an array of such objects.
+   * @param {string|Array} [options.has] - A string with an attribute name to
+   *   match or an array of such strings.
+   * @param {boolean} [options.strict=true] - Set to `false` to ignore any
+   *   attribute in `equals` or `has` that has not been declared via
+   *   `ensureIndex()` instead of throwing an error.
+   * @param {object|string} [options.capability=this.capability] - The
+   *   authorization capability (zcap) to use to authorize the operation.
+   * @param {object} [options.invocationSigner=this.invocationSigner] - An API
+   *   with an `id` property and a `sign` function for signing a capability
+   *   invocation.
+   *
+   * @returns {Promise<number>} - Resolves to the number of documents that an
+   *   index entry was removed from.
+   */
+  async removeIndexes({
+    hmacId, hmac = this.hmac, equals, has, strict = true,
+    capability = this.capability, invocationSigner = this.invocationSigner
+  } = {}) {
+    assertInvocationSigner(invocationSigner);
+    const {defaultHeaders, httpsAgent, id: edvId} = this;
+    const transport = new HttpsTransport({
+      capability, defaultHeaders, edvId, httpsAgent, invocationSigner
+    });
+    return super.removeIndexes({hmacId, hmac, equals, has, strict, transport});
+  }
+
+  /**
+   * @inheritdoc
+   *
+   * @param {object} options - The options to use.
+   * @param {object} [options.hmac=this.hmac] - The HMAC API of the index
+   *   entries to repair, which is also used to blind the query.
+   * @param {object|Array} [options.equals] - An object with key-value
+   *   attribute pairs to match or an array of such objects.
+   * @param {string|Array} [options.has] - A string with an attribute name to
+   *   match or an array of such strings.
+   * @param {boolean} [options.strict=true] - Set to `false` to ignore any
+   *   attribute in `equals` or `has` that has not been declared via
+   *   `ensureIndex()` instead of throwing an error.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving a shared KEK to unwrap the content
+   *   encryption key.
+   * @param {object|string} [options.capability=this.capability] - The
+   *   authorization capability (zcap) to use to authorize the operation.
+   * @param {object} [options.invocationSigner=this.invocationSigner] - An API
+   *   with an `id` property and a `sign` function for signing a capability
+   *   invocation.
+   *
+   * @returns {Promise<object>} - Resolves to `{verified, repaired}` with the
+   *   number of documents whose index entries were verified and repaired.
+   */
+  async repairIndexes({
+    hmac = this.hmac, equals, has, strict = true,
+    keyAgreementKey = this.keyAgreementKey,
+    capability = this.capability, invocationSigner = this.invocationSigner
+  } = {}) {
+    assertInvocationSigner(invocationSigner);
+    const {defaultHeaders, httpsAgent, id: edvId} = this;
+    const transport = new HttpsTransport({
+      capability, defaultHeaders, edvId, httpsAgent, invocationSigner
+    });
+    return super.repairIndexes(
+      {hmac, equals, has, strict, keyAgreementKey, transport});
+  }
+
   /**
    * @inheritdoc
    *
@@ -260,6 +557,37 @@ export class EdvClient extends EdvClientCore {
     return super.get({id, keyAgreementKey, transport});
   }
 
+  /**
+   * @inheritdoc
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<string>} options.ids - The IDs of the documents to get.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving a shared KEK to unwrap the content
+   *   encryption key.
+   * @param {number} [options.batchSize=100] - The maximum number of IDs to
+   *   send to the EDV server at once.
+   * @param {object|string} [options.capability=this.capability] - The
+   *   authorization capability (zcap) to use to authorize the operation.
+   * @param {object} [options.invocationSigner=this.invocationSigner] - An API
+   *   with an `id` property and a `sign` function for signing a capability
+   *   invocation.
+   *
+   * @returns {Promise<Array<object>>} - Resolves to a result for each ID:
+   *   `{id, doc}` or `{id, error}`.
+   */
+  async getMany({
+    ids, keyAgreementKey = this.keyAgreementKey, batchSize,
+    capability = this.capability, invocationSigner = this.invocationSigner
+  } = {}) {
+    assertInvocationSigner(invocationSigner);
+    const {defaultHeaders, httpsAgent, id: edvId} = this;
+    const transport = new HttpsTransport({
+      capability, defaultHeaders, edvId, httpsAgent, invocationSigner
+    });
+    return super.getMany({ids, keyAgreementKey, batchSize, transport});
+  }
+
   /**
    * @inheritdoc
    *
@@ -298,30 +626,49 @@ export class EdvClient extends EdvClientCore {
    * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
    *   KeyAgreementKey API for deriving a shared KEK to unwrap the content
    *   encryption key.
-   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
-   *   indexable attributes.
+   * @param {object|Array} [options.hmac=this.hmac] - An HMAC API for
+   *   blinding indexable attributes or an array of HMAC APIs to query the
+   *   index of each and combine the results.
    * @param {object|Array} [options.equals] - An object with key-value
    *   attribute pairs to match or an array of such objects.
    * @param {string|Array} [options.has] - A string with an attribute name to
    *   match or an array of such strings.
+   * @param {object} [options.query] - A boolean query tree of `and`, `or`,
+   *   `equals`, and `has` nodes to match instead of `equals` and `has`.
+   * @param {object} [options.range] - An object with range-indexed attribute
+   *   names as keys and bounds `{gt, gte, lt, lte}` as values.
+   * @param {object} [options.startsWith] - An object with prefix-indexed
+   *   attribute names as keys and strings their values must start with
+   *   (case-insensitive) as values.
+   * @param {string|object} [options.text] - Words to search text-indexed
+   *   attributes for or `{query, operator, attributes}`.
+   * @param {Function} [options.filter] - A function that is called with each
+   *   decrypted document and returns `true` to include it in the results.
    * @param {object|string} [options.capability=this.capability] - The
    *   authorization capability (zcap) to use to authorize the operation.
    * @param {object} [options.invocationSigner=this.invocationSigner] - An API
    *   with an `id` property and a `sign` function for signing a capability
    *   invocation.
+   * @param {boolean} [options.strict=true] - Set to `false` to ignore any
+   *   attribute in `equals` or `has` that has not been declared via
+   *   `ensureIndex()` instead of throwing an error.
    *
    * @returns {Promise<number>} - Resolves to the number of matching documents.
   */
   async count({
     keyAgreementKey = this.keyAgreementKey, hmac = this.hmac, equals, has,
-    capability = this.capability, invocationSigner = this.invocationSigner
+    query, range, startsWith, text, filter, capability = this.capability,
+    invocationSigner = this.invocationSigner, strict
   } = {}) {
     assertInvocationSigner(invocationSigner);
     const {defaultHeaders, httpsAgent, id: edvId} = this;
     const transport = new HttpsTransport({
       capability, defaultHeaders, edvId, httpsAgent, invocationSigner
     });
-    return super.count({keyAgreementKey, hmac, equals, has, transport});
+    return super.count({
+      keyAgreementKey, hmac, equals, has, query, range, startsWith, text,
+      filter, strict, transport
+    });
   }
 
   /**
@@ -331,12 +678,24 @@ export class EdvClient extends EdvClientCore {
    * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
    *   KeyAgreementKey API for deriving a shared KEK to unwrap the content
    *   encryption key.
-   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
-   *   indexable attributes.
+   * @param {object|Array} [options.hmac=this.hmac] - An HMAC API for
+   *   blinding indexable attributes or an array of HMAC APIs to query the
+   *   index of each and combine the results.
    * @param {object|Array} [options.equals] - An object with key-value
    *   attribute pairs to match or an array of such objects.
    * @param {string|Array} [options.has] - A string with an attribute name to
    *   match or an array of such strings.
+   * @param {object} [options.query] - A boolean query tree of `and`, `or`,
+   *   `equals`, and `has` nodes to match instead of `equals` and `has`.
+   * @param {object} [options.range] - An object with range-indexed attribute
+   *   names as keys and bounds `{gt, gte, lt, lte}` as values.
+   * @param {object} [options.startsWith] - An object with prefix-indexed
+   *   attribute names as keys and strings their values must start with
+   *   (case-insensitive) as values.
+   * @param {string|object} [options.text] - Words to search text-indexed
+   *   attributes for or `{query, operator, attributes}`.
+   * @param {Function} [options.filter] - A function that is called with each
+   *   decrypted document and returns `true` to include it in the results.
    * @param {object|string} [options.capability=this.capability] - The
    *   authorization capability (zcap) to use to authorize the operation.
    * @param {object} [options.invocationSigner=this.invocationSigner] - An API
@@ -346,14 +705,26 @@ export class EdvClient extends EdvClientCore {
    *   that match a query or to `true` to give a count of documents.
    * @param {number} [options.limit] - Set to limit the number of documents
    *   to be returned from a query (min=1, max=1000).
+   * @param {string} [options.after] - An opaque cursor, as returned via
+   *   `cursor` from a previous call to `find()` with the same query, that
+   *   identifies the page of results to return next.
+   * @param {boolean} [options.strict=true] - Set to `false` to ignore any
+   *   attribute in `equals` or `has` that has not been declared via
+   *   `ensureIndex()` instead of throwing an error.
+   * @param {boolean} [options.decrypt=true] - Set to `false` to return a
+   *   handle `{id, sequence, encryptedDoc, decrypt}` for each matching
+   *   document instead of decrypting it.
+   * @param {string} [options.onDecryptError='throw'] - How to handle a
+   *   document that cannot be decrypted: "throw", "skip", or "collect".
    *
    * @returns {Promise<object>} - Resolves to the matching documents:
-   *   {documents: [...]}.
+   *   {documents: [...], hasMore?, cursor?, errors?}.
    */
   async find({
     keyAgreementKey = this.keyAgreementKey, hmac = this.hmac, equals, has,
-    capability = this.capability, invocationSigner = this.invocationSigner,
-    count = false, limit
+    query, range, startsWith, text, filter, capability = this.capability,
+    invocationSigner = this.invocationSigner, count = false, limit, after,
+    strict, decrypt, onDecryptError
   } = {}) {
     assertInvocationSigner(invocationSigner);
     const {defaultHeaders, httpsAgent, id: edvId} = this;
@@ -361,7 +732,71 @@ export class EdvClient extends EdvClientCore {
       capability, defaultHeaders, edvId, httpsAgent, invocationSigner
     });
     return super.find({
-      keyAgreementKey, hmac, equals, has, count, limit, transport
+      keyAgreementKey, hmac, equals, has, query, range, startsWith, text,
+      filter, count, limit, after, strict, decrypt, onDecryptError,
+      transport
+    });
+  }
+
+  /**
+   * @inheritdoc
+   *
+   * @param {object} options - The options to use.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving a shared KEK to unwrap the content
+   *   encryption key.
+   * @param {object|Array} [options.hmac=this.hmac] - An HMAC API for
+   *   blinding indexable attributes or an array of HMAC APIs to query the
+   *   index of each and combine the results.
+   * @param {object|Array} [options.equals] - An object with key-value
+   *   attribute pairs to match or an array of such objects.
+   * @param {string|Array} [options.has] - A string with an attribute name to
+   *   match or an array of such strings.
+   * @param {object} [options.query] - A boolean query tree of `and`, `or`,
+   *   `equals`, and `has` nodes to match instead of `equals` and `has`.
+   * @param {object} [options.range] - An object with range-indexed attribute
+   *   names as keys and bounds `{gt, gte, lt, lte}` as values.
+   * @param {object} [options.startsWith] - An object with prefix-indexed
+   *   attribute names as keys and strings their values must start with
+   *   (case-insensitive) as values.
+   * @param {string|object} [options.text] - Words to search text-indexed
+   *   attributes for or `{query, operator, attributes}`.
+   * @param {Function} [options.filter] - A function that is called with each
+   *   decrypted document and returns `true` to include it in the results.
+   * @param {object|string} [options.capability=this.capability] - The
+   *   authorization capability (zcap) to use to authorize the operation.
+   * @param {object} [options.invocationSigner=this.invocationSigner] - An API
+   *   with an `id` property and a `sign` function for signing a capability
+   *   invocation.
+   * @param {number} [options.pageSize=100] - The number of documents to
+   *   request per page (min=1, max=1000).
+   * @param {string} [options.after] - An opaque cursor to start iterating
+   *   from, as returned via `cursor` from a previous call to `find()`.
+   * @param {boolean} [options.strict=true] - Set to `false` to ignore any
+   *   attribute in `equals` or `has` that has not been declared via
+   *   `ensureIndex()` instead of throwing an error.
+   * @param {boolean} [options.decrypt=true] - Set to `false` to yield a
+   *   handle `{id, sequence, encryptedDoc, decrypt}` for each matching
+   *   document instead of decrypting it.
+   * @param {string} [options.onDecryptError='throw'] - How to handle a
+   *   document that cannot be decrypted: "throw" or "skip".
+   *
+   * @yields {object} Each matching document.
+   */
+  async *iterate({
+    keyAgreementKey = this.keyAgreementKey, hmac = this.hmac, equals, has,
+    query, range, startsWith, text, filter, capability = this.capability,
+    invocationSigner = this.invocationSigner, pageSize, after, strict,
+    decrypt, onDecryptError
+  } = {}) {
+    assertInvocationSigner(invocationSigner);
+    const {defaultHeaders, httpsAgent, id: edvId} = this;
+    const transport = new HttpsTransport({
+      capability, defaultHeaders, edvId, httpsAgent, invocationSigner
+    });
+    yield* super.iterate({
+      keyAgreementKey, hmac, equals, has, query, range, startsWith, text,
+      filter, pageSize, after, strict, decrypt, onDecryptError, transport
     });
   }
 
@@ -419,6 +854,72 @@ export class EdvClient extends EdvClientCore {
     return super.updateConfig({config, transport});
   }
 
+  /**
+   * @inheritdoc
+   *
+   * @param {object} options - The options to use.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving a shared KEK to unwrap the content
+   *   encryption key.
+   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
+   *   indexable attributes.
+   * @param {object|string} [options.capability=this.capability] - The
+   *   authorization capability (zcap) to use to authorize the operation.
+   * @param {object} [options.invocationSigner=this.invocationSigner] - An API
+   *   with an `id` property and a `sign` function for signing a capability
+   *   invocation.
+   *
+   * @returns {Promise<object|null>} - Resolves to the index manifest
+   *   document or `null` if the EDV has no index manifest.
+   */
+  async loadIndexes({
+    keyAgreementKey = this.keyAgreementKey, hmac = this.hmac,
+    capability = this.capability, invocationSigner = this.invocationSigner
+  } = {}) {
+    assertInvocationSigner(invocationSigner);
+    const {defaultHeaders, httpsAgent, id: edvId} = this;
+    const transport = new HttpsTransport({
+      capability, defaultHeaders, edvId, httpsAgent, invocationSigner
+    });
+    return super.loadIndexes({keyAgreementKey, hmac, transport});
+  }
+
+  /**
+   * @inheritdoc
+   *
+   * @param {object} options - The options to use.
+   * @param {object[]} [options.recipients=[]] - A set of JWE recipients to
+   *   encrypt the manifest for; if not present, a default recipient will be
+   *   added using `keyAgreementKey`.
+   * @param {Function} [options.keyResolver=this.keyResolver] - A function that
+   *   returns a Promise that resolves a key ID to a DH public key.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving shared KEKs for wrapping content
+   *   encryption keys.
+   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
+   *   indexable attributes.
+   * @param {object|string} [options.capability=this.capability] - The
+   *   authorization capability (zcap) to use to authorize the operation.
+   * @param {object} [options.invocationSigner=this.invocationSigner] - An API
+   *   with an `id` property and a `sign` function for signing a capability
+   *   invocation.
+   *
+   * @returns {Promise<object>} - Resolves to the index manifest document.
+   */
+  async saveIndexes({
+    recipients = [], keyResolver = this.keyResolver,
+    keyAgreementKey = this.keyAgreementKey, hmac = this.hmac,
+    capability = this.capability, invocationSigner = this.invocationSigner
+  } = {}) {
+    assertInvocationSigner(invocationSigner);
+    const {defaultHeaders, httpsAgent, id: edvId} = this;
+    const transport = new HttpsTransport({
+      capability, defaultHeaders, edvId, httpsAgent, invocationSigner
+    });
+    return super.saveIndexes(
+      {recipients, keyResolver, keyAgreementKey, hmac, transport});
+  }
+
   /**
    * Revoke an authorization capability (zcap). If no `capability` is passed,
    * then the root zcap for the revocation endpoint will be invoked.
@@ -566,11 +1067,8 @@ export class EdvClient extends EdvClientCore {
    * running if the operating environment cannot guarantee that uniqueness
    * constraints will not be violated.
    *
-   * WARNING: At present, this method will fail if the number of documents to
-   * be migrated exceeds a maximum of `999`.
-   *
-   * A more robust implementation may be provided in the future if further
-   * migrations are needed.
+   * This method is kept for backwards compatibility; use `EdvMigrator`
+   * instead, which supports resuming, progress reporting, and more.
    *
    * @param {object} options - The options to use.
    * @param {EdvClient} options.from - The EDV client instance configured to
@@ -585,20 +1083,8 @@ export class EdvClient extends EdvClientCore {
    * @returns {Promise} Resolves once the operation completes.
    */
   static async _migrate({from, to, equals, has} = {}) {
-    assert(from, 'from', 'object');
-    assert(to, 'to', 'object');
-
-    const {documents: docs} = await from.find({equals, has, limit: 1000});
-    if(docs.length >= 1000) {
-      throw new Error('Too many documents to migrate; limit is 999.');
-    }
-
-    // update docs in parallel chunks
-    const chunkSize = 5;
-    while(docs.length > 0) {
-      const chunk = docs.splice(0, chunkSize);
-      await Promise.all(chunk.map(async doc => to.update({doc})));
-    }
+    const migrator = new EdvMigrator({from, to, equals, has});
+    await migrator.run();
   }
 
   // not used internally, but provided as a temporary backwards compatibility
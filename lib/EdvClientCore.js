@@ -2,16 +2,36 @@
  * Copyright (c) 2018-2023 Digital Bazaar, Inc. All rights reserved.
  */
 import * as base58 from 'base58-universal';
+import * as base64url from 'base64url-universal';
+import {
+  applyManifest, createManifest, MANIFEST_ID
+} from './manifest.js';
 import {
   assert, assertDocId, assertDocument, assertTransport
 } from './assert.js';
+import {applyDocumentPatch} from './patch.js';
 import {Cipher} from '@digitalbazaar/minimal-cipher';
+import {createLimiter} from './limiter.js';
 import {getRandomBytes} from './util.js';
 import {IndexHelper} from './IndexHelper.js';
 import {LegacyIndexHelperVersion1} from './LegacyIndexHelperVersion1.js';
 
 // 1 MiB = 1048576
 const DEFAULT_CHUNK_SIZE = 1048576;
+// number of documents to request per page when iterating over results
+const DEFAULT_PAGE_SIZE = 100;
+// number of times to retry an operation on a document that was changed
+// concurrently
+const MAX_RETRIES = 3;
+// number of milliseconds to wait before the first retry of an update; the
+// wait doubles with each retry
+const DEFAULT_RETRY_DELAY = 100;
+// number of documents to send to the EDV server at once in bulk operations
+const DEFAULT_BATCH_SIZE = 100;
+// number of documents to encrypt at once in bulk operations
+const DEFAULT_CONCURRENCY = 10;
+// ways to handle a found document that cannot be decrypted
+const DECRYPT_ERROR_MODES = ['throw', 'skip', 'collect'];
 
 export class EdvClientCore {
   /**
@@ -28,6 +48,23 @@ export class EdvClientCore {
    *   a Promise that resolves a key ID to a DH public key.
    * @param {string} [options.cipherVersion='recommended'] - Sets the cipher
    *   version to either "recommended" or "fips".
+   * @param {object} [options.cache] - Options for the cache of blinded
+   *   values: `{max, ttl, store}`, where `max` is the number of values to
+   *   keep in memory (default 1000), `ttl` is the number of milliseconds a
+   *   value may be used for, and `store` is a persistent store such as a
+   *   `Map` or an adapter with the same `get`, `set`, `delete`, and `keys`
+   *   functions that may return Promises.
+   * @param {object} [options.indexLimits] - Limits on the size of each
+   *   document's index entry: `{maxEntryAttributes, maxAttributeValues}`,
+   *   where `maxEntryAttributes` is the maximum number of blinded attributes
+   *   in an entry and `maxAttributeValues` is the maximum number of values
+   *   for any indexed attribute; writing a document that exceeds a limit
+   *   fails with an `IndexLimitError` before any HMAC operations are
+   *   performed.
+   * @param {number} [options.decryptConcurrency] - The maximum number of
+   *   documents that this instance will decrypt at once, e.g., to avoid
+   *   starting hundreds of key agreement operations for a large page of
+   *   results; by default, there is no limit.
    * @param {string} [options._attributeVersion=2] - Sets the blinded attribute
    *   version to use; for internal use only.
    *
@@ -35,20 +72,30 @@ export class EdvClientCore {
    */
   constructor({
     hmac, id, keyAgreementKey, keyResolver,
-    cipherVersion = 'recommended', _attributeVersion = 2
+    cipherVersion = 'recommended', cache, indexLimits, decryptConcurrency,
+    _attributeVersion = 2
   } = {}) {
     if(id !== undefined) {
       assert(id, 'id', 'string');
     }
+    if(decryptConcurrency !== undefined && !(
+      Number.isSafeInteger(decryptConcurrency) && decryptConcurrency >= 1)) {
+      throw new TypeError('"decryptConcurrency" must be a positive integer.');
+    }
     this.hmac = hmac;
     this.id = id;
     this.keyAgreementKey = keyAgreementKey;
     this.keyResolver = keyResolver;
     this.cipher = new Cipher({version: cipherVersion});
+    // set to `false` once the EDV server rejects a query that combines
+    // `equals` and `has` so that such queries are not sent again
+    this._supportsCombinedQueries = true;
+    this._limitDecrypt = decryptConcurrency === undefined ?
+      fn => fn() : createLimiter({concurrency: decryptConcurrency});
     if(_attributeVersion === 2) {
-      this.indexHelper = new IndexHelper();
+      this.indexHelper = new IndexHelper({cache, indexLimits});
     } else if(_attributeVersion === 1) {
-      this.indexHelper = new LegacyIndexHelperVersion1();
+      this.indexHelper = new LegacyIndexHelperVersion1({indexLimits});
     } else {
       throw new Error(
         `Unsupported "_attributeVersion" "${_attributeVersion}".`);
@@ -64,11 +111,121 @@ export class EdvClientCore {
    * @param {object} options - The options to use.
    * @param {string|Array} options.attribute - The attribute name or an array of
    *   attribute names to create a unique compound index.
+   * @param {string} [options.name] - An alias for `attribute` when giving
+   *   an `extract` function.
    * @param {boolean} [options.unique=false] - Should be `true` if the index is
    *   considered unique, `false` if not.
+   * @param {string|Function|Array} [options.normalize] - A built-in
+   *   normalizer ("lowercase", "nfc", or "trim"), a function, or an array of
+   *   these to apply to the attribute's values before they are blinded, in
+   *   both documents and queries.
+   * @param {Function} [options.extract] - A function that takes a document
+   *   and returns the value (or an array of values) to index for a simple
+   *   index, allowing values that are not in the document literally (e.g.,
+   *   the domain of an email address) to be indexed and queried.
+   * @param {object} [options.range] - Set to make a simple index also a range
+   *   index that can be used with `range` queries, e.g.,
+   *   `{type: 'date', granularity: 'day'}` or
+   *   `{type: 'number', granularity: 10}`.
+   * @param {object} [options.prefix] - Set to make a simple index also a
+   *   prefix index that can be used with `startsWith` queries: `{min, max}`
+   *   where `min` (default `1`) and `max` are the shortest and longest
+   *   prefixes to index; every indexed prefix is visible (blinded) to the
+   *   EDV server, revealing which documents share prefixes.
+   * @param {boolean} [options.text=false] - Set to `true` to make a simple
+   *   index also a text index that can be used with `text` queries; every
+   *   word is visible (blinded) to the EDV server, revealing which documents
+   *   share words.
+   */
+  ensureIndex({
+    attribute, name, unique = false, normalize, extract, range, prefix,
+    text = false
+  } = {}) {
+    this.indexHelper.ensureIndex({
+      attribute, name, unique, normalize, extract, range, prefix, text,
+      hmac: this.hmac
+    });
+  }
+
+  /**
+   * Gets statistics about how often cached blinded values have been used
+   * instead of signing them with an HMAC API, e.g., to tune the `cache`
+   * options given to the constructor.
+   *
+   * @returns {object} - An object `{hits, misses}` with the number of blinded
+   *   values that were found in memory or in the cache store (`hits`) and
+   *   that had to be signed (`misses`).
+   */
+  getCacheStats() {
+    return this.indexHelper.getCacheStats();
+  }
+
+  /**
+   * Removes cached blinded values from memory and from any cache store, e.g.,
+   * when an HMAC key has been revoked.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.hmacId] - The ID of the HMAC whose blinded values
+   *   should be removed; by default, every blinded value is removed.
+   *
+   * @returns {Promise} - Resolves once the operation completes.
+   */
+  async clearCache({hmacId} = {}) {
+    if(hmacId !== undefined) {
+      assert(hmacId, 'hmacId', 'string');
+    }
+    return this.indexHelper.clearCache({hmacId});
+  }
+
+  /**
+   * Counts the blinded attributes that the index entry for the given document
+   * would have, without performing any HMAC operations or sending anything
+   * to the EDV server. Compound indexes over attributes with many values can
+   * produce a very large number of blinded attributes, so this can be used to
+   * check a document before writing it or to choose `indexLimits`.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.doc - The document to count blinded attributes
+   *   for.
+   *
+   * @returns {object} - An object `{count, indexes}` where `count` is the total
+   *   number of blinded attributes and `indexes` is an array of
+   *   `{attributes, count}` with the number of blinded attributes for each
+   *   matching index.
+   */
+  estimateEntrySize({doc} = {}) {
+    assert(doc, 'doc', 'object');
+    return this.indexHelper.estimateEntrySize({doc});
+  }
+
+  /**
+   * Explains how an `equals` or `has` query will be matched, e.g., to debug
+   * a `find()` that returns no documents. The blinded terms in a query are
+   * opaque, so each one is described using the index it is built from and
+   * the plaintext attributes (and, for `equals`, normalized values) behind
+   * it. No HMAC operations are performed and nothing is sent to the EDV
+   * server.
+   *
+   * A document matches an `equals` filter only if it has every term for that
+   * filter; it matches `has` if it has every term for it. Warnings are given
+   * for attributes that have not been declared in an index or that will
+   * otherwise not be used to match documents and for compound indexes that
+   * are only partially matched.
+   *
+   * @param {object} options - The options to use.
+   * @param {object|Array} [options.equals] - An object with key-value
+   *   attribute pairs to match or an array of such objects.
+   * @param {string|Array} [options.has] - A string with an attribute name to
+   *   match or an array of such strings.
+   *
+   * @returns {object} - The explanation: `{equals?: [{terms}], has?: {terms},
+   *   warnings}`, where `terms` is an array of `{index, attributes, values?,
+   *   unique}` with the attributes of the index a term is built from, the
+   *   attributes in the term, their values (for `equals`), and whether the
+   *   term is unique; `warnings` is an array of strings.
    */
-  ensureIndex({attribute, unique = false} = {}) {
-    this.indexHelper.ensureIndex({attribute, unique, hmac: this.hmac});
+  explain({equals, has} = {}) {
+    return this.indexHelper.explainQuery({equals, has});
   }
 
   /**
@@ -226,6 +383,244 @@ export class EdvClientCore {
     return result;
   }
 
+  /**
+   * Gets a document from the EDV, applies a change to it, and writes it
+   * back. If the document was changed concurrently, so that the write is
+   * rejected with an `InvalidStateError`, the latest version is fetched and
+   * the change is applied to it again, waiting longer before each retry.
+   *
+   * The `mutator` function is called with the latest decrypted document on
+   * each attempt and may modify its `content` and `meta` in place or return
+   * (or resolve to) a new `{content, meta}`; if `content` or `meta` is not
+   * returned, the existing one is kept. Any other changes are ignored.
+   * It may be called more than once, so it should not have side effects.
+   *
+   * If the document is still being changed concurrently once `maxRetries`
+   * retries have been made, an `InvalidStateError` is thrown with the
+   * document that could not be written as `attempted` and the latest
+   * version from the EDV server as `current`, unless it could not be
+   * fetched (e.g., because it was deleted).
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the document to update.
+   * @param {Function} options.mutator - A function that applies the change
+   *   to a decrypted document.
+   * @param {object} [options.recipients=[]] - A set of JWE recipients to
+   *   encrypt the document for; if present, recipients will be added to any
+   *   existing recipients.
+   * @param {Function} [options.keyResolver=this.keyResolver] - A function that
+   *   returns a Promise that resolves a key ID to a DH public key.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving shared KEKs for wrapping and
+   *   unwrapping content encryption keys.
+   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
+   *   indexable attributes.
+   * @param {number} [options.maxRetries=3] - The maximum number of times to
+   *   retry after a conflict.
+   * @param {number} [options.retryDelay=100] - The number of milliseconds to
+   *   wait, on average, before the first retry; the wait doubles with each
+   *   retry.
+   * @param {object} options.transport - The Transport instance to use.
+   *
+   * @returns {Promise<object>} - Resolves to the updated document.
+   */
+  async updateWithRetry({
+    id, mutator, recipients = [], keyResolver = this.keyResolver,
+    keyAgreementKey = this.keyAgreementKey, hmac = this.hmac,
+    maxRetries = MAX_RETRIES, retryDelay = DEFAULT_RETRY_DELAY, transport
+  } = {}) {
+    assert(id, 'id', 'string');
+    assert(mutator, 'mutator', 'function');
+    _assertRetryOptions({maxRetries, retryDelay});
+    assertTransport(transport);
+
+    return this._updateWithRetry({
+      id, mutator, recipients, keyResolver, keyAgreementKey, hmac,
+      maxRetries, retryDelay, transport
+    });
+  }
+
+  /**
+   * Applies a JSON Patch (RFC 6902) or JSON Merge Patch (RFC 7396) to a
+   * document in the EDV. The document is fetched and decrypted, the patch is
+   * applied to an object with its `content` and `meta`, e.g., a JSON Patch
+   * path of `/content/name` or a merge patch of `{content: {name}}`, and the
+   * document is encrypted, reindexed, and written back.
+   *
+   * If the document has changed since the patch was made, i.e., it no
+   * longer has the given `sequence` or it is changed concurrently while
+   * being patched, an `InvalidStateError` is thrown unless `rebase` is set,
+   * in which case the patch is applied to the latest version instead, as in
+   * `updateWithRetry()`. A JSON Patch `test` operation can be used to ensure
+   * that a rebased patch still applies. If a JSON Patch operation fails, the
+   * patch changes anything other than `content` and `meta`, or either would
+   * no longer be an object, a `PatchError` is thrown and the document is not
+   * changed.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the document to patch.
+   * @param {Array|object} options.patch - The JSON Patch operations or the
+   *   JSON Merge Patch to apply.
+   * @param {string} [options.format='json-patch'] - The format of `patch`:
+   *   "json-patch" or "merge-patch".
+   * @param {number} [options.sequence] - The sequence number of the version
+   *   of the document that the patch was made for.
+   * @param {boolean} [options.rebase=false] - Set to `true` to apply the
+   *   patch to the latest version of the document if it has changed.
+   * @param {object} [options.recipients=[]] - A set of JWE recipients to
+   *   encrypt the document for; if present, recipients will be added to any
+   *   existing recipients.
+   * @param {Function} [options.keyResolver=this.keyResolver] - A function that
+   *   returns a Promise that resolves a key ID to a DH public key.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving shared KEKs for wrapping and
+   *   unwrapping content encryption keys.
+   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
+   *   indexable attributes.
+   * @param {number} [options.maxRetries=3] - The maximum number of times to
+   *   rebase the patch if `rebase` is set.
+   * @param {number} [options.retryDelay=100] - The number of milliseconds to
+   *   wait, on average, before the first rebase.
+   * @param {object} options.transport - The Transport instance to use.
+   *
+   * @returns {Promise<object>} - Resolves to the patched document.
+   */
+  async patch({
+    id, patch, format = 'json-patch', sequence, rebase = false,
+    recipients = [], keyResolver = this.keyResolver,
+    keyAgreementKey = this.keyAgreementKey, hmac = this.hmac,
+    maxRetries = MAX_RETRIES, retryDelay = DEFAULT_RETRY_DELAY, transport
+  } = {}) {
+    assert(id, 'id', 'string');
+    if(format === 'json-patch') {
+      if(!Array.isArray(patch)) {
+        throw new TypeError('"patch" must be an array of operations.');
+      }
+    } else if(format === 'merge-patch') {
+      assert(patch, 'patch', 'object');
+    } else {
+      throw new TypeError('"format" must be "json-patch" or "merge-patch".');
+    }
+    if(sequence !== undefined &&
+      !(Number.isSafeInteger(sequence) && sequence >= 0)) {
+      throw new TypeError('"sequence" must be a non-negative integer.');
+    }
+    _assertRetryOptions({maxRetries, retryDelay});
+    assertTransport(transport);
+
+    return this._updateWithRetry({
+      id, recipients, keyResolver, keyAgreementKey, hmac,
+      // without `rebase`, any concurrent change is a conflict
+      maxRetries: rebase ? maxRetries : 0, retryDelay, transport,
+      mutator: doc => {
+        if(!rebase && sequence !== undefined && doc.sequence !== sequence) {
+          const err = new Error(
+            `Document "${id}" has changed since sequence ${sequence}.`);
+          err.name = 'InvalidStateError';
+          err.current = doc;
+          throw err;
+        }
+        return applyDocumentPatch({
+          document: {content: doc.content, meta: doc.meta || {}}, patch, format
+        });
+      }
+    });
+  }
+
+  /**
+   * Encrypts and inserts many documents into the EDV, e.g., when importing
+   * data. Documents are encrypted and their attributes blinded in parallel,
+   * at most `concurrency` at a time, and sent to the EDV server in batches
+   * of at most `batchSize` documents. Unlike `insert()`, a failure to insert
+   * one document does not prevent the others from being inserted and
+   * `stream` is not supported.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<object>} options.docs - The documents to insert; any
+   *   document without an ID is given a generated one.
+   * @param {object[]} [options.recipients=[]] - A set of JWE recipients
+   *   to encrypt the documents for; if not present, a default recipient will
+   *   be added using `this.keyAgreementKey` and if no `keyAgreementKey` is
+   *   set, an error will be thrown.
+   * @param {Function} [options.keyResolver=this.keyResolver] - A function that
+   *   returns a Promise that resolves a key ID to a DH public key.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving shared KEKs for wrapping content
+   *   encryption keys.
+   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
+   *   indexable attributes.
+   * @param {number} [options.concurrency=10] - The maximum number of
+   *   documents to encrypt at once.
+   * @param {number} [options.batchSize=100] - The maximum number of
+   *   documents to send to the EDV server at once.
+   * @param {object} options.transport - The Transport instance to use.
+   *
+   * @returns {Promise<Array<object>>} - Resolves to a result for each
+   *   document, in the same order as `docs`: `{id, doc}` with the inserted
+   *   document or `{id, error}` if it was not inserted, where `error` is a
+   *   `DuplicateError` if a document with the same ID or unique attribute
+   *   already exists.
+   */
+  async insertMany({
+    docs, recipients = [], keyResolver = this.keyResolver,
+    keyAgreementKey = this.keyAgreementKey, hmac = this.hmac,
+    concurrency = DEFAULT_CONCURRENCY, batchSize = DEFAULT_BATCH_SIZE,
+    transport
+  } = {}) {
+    _assertDocuments(docs);
+    assertTransport(transport);
+    return this._writeMany({
+      docs, recipients, keyResolver, keyAgreementKey, hmac, concurrency,
+      batchSize, update: false, transport
+    });
+  }
+
+  /**
+   * Encrypts and updates many documents in the EDV. Any document that does
+   * not already exist is created. Documents are encrypted and their
+   * attributes blinded in parallel, at most `concurrency` at a time, and
+   * sent to the EDV server in batches of at most `batchSize` documents.
+   * Unlike `update()`, a failure to update one document does not prevent the
+   * others from being updated and `stream` is not supported.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<object>} options.docs - The documents to update.
+   * @param {object} [options.recipients=[]] - A set of JWE recipients to
+   *   encrypt the documents for; if present, recipients will be added to any
+   *   existing recipients.
+   * @param {Function} [options.keyResolver=this.keyResolver] - A function that
+   *   returns a Promise that resolves a key ID to a DH public key.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving shared KEKs for wrapping content
+   *   encryption keys.
+   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
+   *   indexable attributes.
+   * @param {number} [options.concurrency=10] - The maximum number of
+   *   documents to encrypt at once.
+   * @param {number} [options.batchSize=100] - The maximum number of
+   *   documents to send to the EDV server at once.
+   * @param {object} options.transport - The Transport instance to use.
+   *
+   * @returns {Promise<Array<object>>} - Resolves to a result for each
+   *   document, in the same order as `docs`: `{id, doc}` with the updated
+   *   document or `{id, error}` if it was not updated, where `error` is an
+   *   `InvalidStateError` if the document was changed concurrently.
+   */
+  async updateMany({
+    docs, recipients = [], keyResolver = this.keyResolver,
+    keyAgreementKey = this.keyAgreementKey, hmac = this.hmac,
+    concurrency = DEFAULT_CONCURRENCY, batchSize = DEFAULT_BATCH_SIZE,
+    transport
+  } = {}) {
+    _assertDocuments(docs);
+    docs.forEach(({id}) => assertDocId(id));
+    assertTransport(transport);
+    return this._writeMany({
+      docs, recipients, keyResolver, keyAgreementKey, hmac, concurrency,
+      batchSize, update: true, transport
+    });
+  }
+
   /**
    * Updates an index for the given document, without updating the document
    * contents itself. An index entry will be updated and sent to the EDV; its
@@ -257,6 +652,211 @@ export class EdvClientCore {
     await transport.updateIndex({docId: doc.id, entry});
   }
 
+  /**
+   * Removes an index entry from the given document, without updating the
+   * document contents itself. The document's sequence number must match its
+   * current sequence number or the removal will be rejected with an
+   * `InvalidStateError`. Recovery from this error requires fetching the latest
+   * document and trying again.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.doc - The document to remove an index entry from.
+   * @param {string} [options.hmacId=this.hmac.id] - The ID of the HMAC of the
+   *   index entry to remove.
+   * @param {object} options.transport - The Transport instance to use.
+   *
+   * @returns {Promise} - Resolves once the operation completes.
+   */
+  async removeIndex({doc, hmacId = this.hmac?.id, transport} = {}) {
+    assert(doc, 'doc', 'object');
+    assertDocId(doc.id);
+    assert(hmacId, 'hmacId', 'string');
+    assertTransport(transport);
+    const {sequence} = doc;
+    if(!(Number.isSafeInteger(sequence) && sequence >= 0)) {
+      throw new Error('"sequence" must be a non-negative safe integer.');
+    }
+
+    await transport.removeIndex({docId: doc.id, hmacId, sequence});
+  }
+
+  /**
+   * Removes the index entries for an HMAC from every document that matches a
+   * query, e.g., to remove the blinded attributes for an HMAC that has been
+   * retired. Documents that are changed concurrently are fetched again and
+   * retried; documents that are deleted concurrently are skipped.
+   *
+   * @see find - For more detailed documentation on the search options.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.hmacId - The ID of the HMAC of the index entries
+   *   to remove.
+   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
+   *   the attributes in the query; this may be the HMAC with `hmacId`.
+   * @param {object|Array} [options.equals] - An object with key-value
+   *   attribute pairs to match or an array of such objects.
+   * @param {string|Array} [options.has] - A string with an attribute name to
+   *   match or an array of such strings.
+   * @param {boolean} [options.strict=true] - Set to `false` to ignore any
+   *   attribute in `equals` or `has` that has not been declared via
+   *   `ensureIndex()` instead of throwing an error.
+   * @param {object} options.transport - The Transport instance to use.
+   *
+   * @returns {Promise<number>} - Resolves to the number of documents that an
+   *   index entry was removed from.
+   */
+  async removeIndexes({
+    hmacId, hmac = this.hmac, equals, has, strict = true, transport
+  } = {}) {
+    assert(hmacId, 'hmacId', 'string');
+    assertTransport(transport);
+    _checkIndexing(hmac);
+
+    const query = await this.indexHelper.buildQuery(
+      {hmac, equals, has, strict});
+    query.limit = DEFAULT_PAGE_SIZE;
+
+    // documents no longer match a query of the index being removed, so
+    // request the first page of results again once entries are removed from
+    // a page in that case; a page that is unchanged, e.g., because every
+    // result was filtered out, is followed by its cursor instead
+    const restart = hmac.id === hmacId;
+    let removed = 0;
+    while(true) {
+      const {documents, hasMore, cursor} = await this._find(
+        {query, transport});
+      let removedFromPage = 0;
+      for(const doc of documents) {
+        if(await _removeIndexEntry({doc, hmacId, transport})) {
+          removedFromPage++;
+        }
+      }
+      removed += removedFromPage;
+      if(!hasMore) {
+        break;
+      }
+      if(restart && removedFromPage > 0) {
+        delete query.after;
+        continue;
+      }
+      if(cursor === undefined) {
+        throw new Error(
+          'Unable to get next page of results; the EDV server did not ' +
+          'return a "cursor".');
+      }
+      query.after = cursor;
+    }
+    return removed;
+  }
+
+  /**
+   * Checks that a document's index entry for an HMAC matches its content.
+   * The document is decrypted and the entry it should have is computed using
+   * the indexes declared via `ensureIndex()`; it is then compared with the
+   * entry stored in the document's `indexed` array. This detects entries that
+   * are stale, e.g., written by a client that lacked an index, or that were
+   * modified on the EDV server.
+   *
+   * Blinded attributes are compared by blinded name: a name that only the
+   * computed entry has is `missing`, a name that only the stored entry has is
+   * `extra`, and a name that both have with different values (or `unique`
+   * flags) is `mismatched`. An entry written by a client with more indexes
+   * than this one will have `extra` attributes.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.doc - The document to verify, including its
+   *   `jwe` and `indexed` properties, as returned from `get()` or `find()`.
+   * @param {object} [options.hmac=this.hmac] - The HMAC API of the index
+   *   entry to verify.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving a shared KEK to unwrap the content
+   *   encryption key.
+   *
+   * @returns {Promise<object>} - Resolves to `{valid, missing, extra,
+   *   mismatched, sequence}` where `valid` is `true` if the entries match,
+   *   `missing` and `extra` are arrays of blinded attributes, `mismatched` is
+   *   an array of `{name, expected, actual}` with the blinded attributes
+   *   each entry has for `name`, and `sequence` is `{expected, actual}` with
+   *   the document's sequence and the stored entry's sequence, which is
+   *   `undefined` if there is no stored entry.
+   */
+  async verifyIndex({
+    doc, hmac = this.hmac, keyAgreementKey = this.keyAgreementKey
+  } = {}) {
+    assert(doc, 'doc', 'object');
+    assertDocId(doc.id);
+    _checkIndexing(hmac);
+
+    const decrypted = await this._decrypt({encryptedDoc: doc, keyAgreementKey});
+    const {result} = await this._verifyEntry({doc: decrypted, hmac});
+    return result;
+  }
+
+  /**
+   * Verifies the index entry for an HMAC of every document that matches a
+   * query and updates each entry that does not match its document's content.
+   * Documents that are changed concurrently are fetched again and retried.
+   *
+   * Documents are found using the index entries being repaired, so a
+   * document whose entry does not match the query will not be found; use
+   * `updateIndex()` to add entries for documents that have none.
+   *
+   * @see find - For more detailed documentation on the search options.
+   * @see verifyIndex - For how index entries are verified.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} [options.hmac=this.hmac] - The HMAC API of the index
+   *   entries to repair, which is also used to blind the query.
+   * @param {object|Array} [options.equals] - An object with key-value
+   *   attribute pairs to match or an array of such objects.
+   * @param {string|Array} [options.has] - A string with an attribute name to
+   *   match or an array of such strings.
+   * @param {boolean} [options.strict=true] - Set to `false` to ignore any
+   *   attribute in `equals` or `has` that has not been declared via
+   *   `ensureIndex()` instead of throwing an error.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving a shared KEK to unwrap the content
+   *   encryption key.
+   * @param {object} options.transport - The Transport instance to use.
+   *
+   * @returns {Promise<object>} - Resolves to `{verified, repaired}` with the
+   *   number of documents whose index entries were verified and repaired.
+   */
+  async repairIndexes({
+    hmac = this.hmac, equals, has, strict = true,
+    keyAgreementKey = this.keyAgreementKey, transport
+  } = {}) {
+    assertTransport(transport);
+    _checkIndexing(hmac);
+
+    const query = await this.indexHelper.buildQuery(
+      {hmac, equals, has, strict});
+    query.limit = DEFAULT_PAGE_SIZE;
+
+    let verified = 0;
+    let repaired = 0;
+    while(true) {
+      const {documents, hasMore, cursor} = await this._find(
+        {query, transport});
+      for(const doc of documents) {
+        if(await this._repairIndex({doc, hmac, keyAgreementKey, transport})) {
+          repaired++;
+        }
+        verified++;
+      }
+      if(!hasMore) {
+        break;
+      }
+      if(cursor === undefined) {
+        throw new Error(
+          'Unable to get next page of results; the EDV server did not ' +
+          'return a "cursor".');
+      }
+      query.after = cursor;
+    }
+    return {verified, repaired};
+  }
+
   /**
    * Deletes a document from the EDV.
    *
@@ -318,6 +918,55 @@ export class EdvClientCore {
     return this._decrypt({encryptedDoc, keyAgreementKey});
   }
 
+  /**
+   * Gets many documents from the EDV by their IDs, sending the IDs to the
+   * EDV server in batches of at most `batchSize` IDs. Unlike `get()`, a
+   * failure to get or decrypt one document does not prevent the others from
+   * being returned.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<string>} options.ids - The IDs of the documents to get.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving a shared KEK to unwrap the content
+   *   encryption key.
+   * @param {number} [options.batchSize=100] - The maximum number of IDs to
+   *   send to the EDV server at once.
+   * @param {object} options.transport - The Transport instance to use.
+   *
+   * @returns {Promise<Array<object>>} - Resolves to a result for each ID, in
+   *   the same order as `ids`: `{id, doc}` with the document or `{id, error}`
+   *   if it could not be retrieved or decrypted, where `error` is a
+   *   `NotFoundError` if the document does not exist.
+   */
+  async getMany({
+    ids, keyAgreementKey = this.keyAgreementKey,
+    batchSize = DEFAULT_BATCH_SIZE, transport
+  } = {}) {
+    if(!Array.isArray(ids)) {
+      throw new TypeError('"ids" must be an array of strings.');
+    }
+    ids.forEach(id => assert(id, 'id', 'string'));
+    assertTransport(transport);
+
+    const results = [];
+    for(const batch of _batches({items: ids, batchSize})) {
+      const fetched = await transport.getMany({ids: batch});
+      results.push(...await Promise.all(fetched.map(
+        async ({id, encrypted: encryptedDoc, error}) => {
+          if(error) {
+            return {id, error};
+          }
+          try {
+            return {id, doc: await this._decrypt(
+              {encryptedDoc, keyAgreementKey})};
+          } catch(error) {
+            return {id, error};
+          }
+        })));
+    }
+    return results;
+  }
+
   /**
    * Gets a `ReadableStream` to read the chunked data associated with a
    * document.
@@ -372,29 +1021,46 @@ export class EdvClientCore {
    * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
    *   KeyAgreementKey API for deriving a shared KEK to unwrap the content
    *   encryption key.
-   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
-   *   indexable attributes.
+   * @param {object|Array} [options.hmac=this.hmac] - An HMAC API for
+   *   blinding indexable attributes or an array of HMAC APIs to query the
+   *   index of each and combine the results.
    * @param {object|Array} [options.equals] - An object with key-value
    *   attribute pairs to match or an array of such objects.
    * @param {string|Array} [options.has] - A string with an attribute name to
    *   match or an array of such strings.
+   * @param {object} [options.query] - A boolean query tree of `and`, `or`,
+   *   `equals`, and `has` nodes to match instead of `equals` and `has`.
+   * @param {object} [options.range] - An object with range-indexed attribute
+   *   names as keys and bounds `{gt, gte, lt, lte}` as values.
+   * @param {object} [options.startsWith] - An object with prefix-indexed
+   *   attribute names as keys and strings their values must start with
+   *   (case-insensitive) as values.
+   * @param {string|object} [options.text] - Words to search text-indexed
+   *   attributes for or `{query, operator, attributes}`.
+   * @param {Function} [options.filter] - A function that is called with each
+   *   decrypted document and returns `true` to include it in the results.
+   * @param {boolean} [options.strict=true] - Set to `false` to ignore any
+   *   attribute in `equals` or `has` that has not been declared via
+   *   `ensureIndex()` instead of throwing an error.
    * @param {object} options.transport - The Transport instance to use.
    *
    * @returns {Promise<number>} - Resolves to the number of matching documents.
   */
   async count({
     keyAgreementKey = this.keyAgreementKey, hmac = this.hmac, equals, has,
-    transport
+    query, range, startsWith, text, filter, strict = true, transport
   } = {}) {
     const {count} = await EdvClientCore.prototype.find.call(this, {
-      keyAgreementKey, hmac, equals, has, count: true, transport
+      keyAgreementKey, hmac, equals, has, query, range, startsWith, text,
+      filter, strict, count: true, transport
     });
     return count;
   }
 
   /**
-   * Finds documents based on their attributes. Currently, matching can be
-   * performed using an `equals` or a `has` filter (but not both at once).
+   * Finds documents based on their attributes. Matching can be performed
+   * using an `equals` filter, a `has` filter, or both; if both are given,
+   * documents must match both filters to be returned.
    *
    * The `equals` filter is an object with key-value attribute pairs. Any
    * document that matches *all* given key-value attribute pairs will be
@@ -408,64 +1074,370 @@ export class EdvClientCore {
    * array of such strings. If an array is used, then the results will only
    * contain documents that possess *all* of the attributes listed.
    *
+   * If both `equals` and `has` are given, matching documents must satisfy
+   * both. If the EDV server does not support such queries, this client stops
+   * sending them and instead pages through the results of `equals`, keeping
+   * the documents whose index entries also match `has`; pages of results may
+   * then have fewer than `limit` documents even if `hasMore` is `true`.
+   *
+   * The `range` filter is an object with attribute names as keys and bounds
+   * `{gt, gte, lt, lte}` as values; every attribute must have been declared
+   * with a `range` option via `ensureIndex()`. The EDV server matches the
+   * buckets covering each range and any false positives are removed after
+   * decryption. Counting documents with a `range` filter requires fetching
+   * and decrypting every candidate document.
+   *
+   * The `startsWith` filter is an object with attribute names as keys and
+   * strings as values; every attribute must have been declared with a
+   * `prefix` option via `ensureIndex()`. Matching ignores case, surrounding
+   * whitespace, and Unicode normalization differences. Like `range`, any
+   * false positives (e.g., when the string is longer than the indexed
+   * prefixes) are removed after decryption.
+   *
+   * The `text` filter is a string of words to search for in the attributes
+   * declared with a `text` option via `ensureIndex()`, or an object
+   * `{query, operator, attributes}` where `operator` is "and" (the default)
+   * to match documents containing every word or "or" to match documents
+   * containing any word. Matching documents are ranked so that documents
+   * with the most occurrences of the words come first. If neither `limit`
+   * nor `after` is given, every matching document is fetched and ranked;
+   * otherwise, only the documents within each page are ranked.
+   *
+   * The `filter` option is a function that is called with each decrypted
+   * document and returns `true` to include it in the results, e.g., to
+   * apply conditions that cannot be indexed. If `limit` is given and any
+   * documents are removed by `filter` or as false positives of `range`,
+   * `startsWith`, or `text`, more results are requested from the EDV server
+   * until `limit` documents match or there are no more results. To return
+   * an accurate `hasMore`, one more page of results is then requested to
+   * look for another match; if it has none, `hasMore` is `true` whenever the
+   * EDV server has more results, even if none of them match, and the next
+   * page may be empty. Counting documents with a `filter` requires fetching
+   * and decrypting every candidate document.
+   *
+   * By default, a document that cannot be decrypted, e.g., because its
+   * recipients no longer include `keyAgreementKey` or its JWE is corrupted,
+   * causes `find()` to throw. Set `onDecryptError` to "skip" to omit such
+   * documents from the results or to "collect" to also report each of them
+   * in an `errors` array of `{id, error}` so that the other documents can
+   * still be used.
+   *
+   * Decrypting a document requires a key agreement operation, so when only
+   * the IDs of matching documents or the content of a few of them is needed,
+   * set `decrypt` to `false` to get a handle for each document that only
+   * decrypts it when its `decrypt()` function is called. This cannot be
+   * combined with `range`, `startsWith`, `text`, or `filter`, which all
+   * require decrypted documents. To limit how many documents are decrypted
+   * at once, pass `decryptConcurrency` to the constructor.
+   *
+   * The `query` filter is a boolean query tree that can express queries
+   * that `equals` and `has` cannot, such as documents that have any one of
+   * several attributes. Each node in the tree is an object with any of
+   * `equals` and `has` (with the same meaning as above), `and` (an array of
+   * nodes that must all match), and `or` (an array of nodes, any one of which
+   * must match); every property given for a node must match. For example,
+   * `{or: [{has: 'content.a'}, {and: [{equals: {'content.b': 1}},
+   * {equals: {'content.c': 2}}]}]}`. It cannot be combined with `equals` or
+   * `has`. A tree that cannot be sent to the EDV server as a single query is
+   * sent as several queries whose results are combined by document ID; this
+   * requires fetching every matching document from every query, after which
+   * `limit` and `after` are applied to the combined results.
+   *
+   * If `hmac` is an array, such as when an EDV is shared by applications that
+   * each use their own HMAC, the index for each HMAC is queried in turn and
+   * the results are combined. A document found in more than one index is
+   * only returned from the first index whose entry for it matches, so it is
+   * returned once across every page. Each page has at most `limit`
+   * documents, though the last page may be empty. Counting documents using
+   * more than one HMAC requires fetching every matching document from every
+   * index.
+   *
+   * By default, every attribute used in a filter must have been declared via
+   * `ensureIndex()` or an error will be thrown; this prevents typos or missing
+   * indexes from silently producing degenerate queries.
+   *
    * @param {object} options - The options to use.
    * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
    *   KeyAgreementKey API for deriving a shared KEK to unwrap the content
    *   encryption key.
-   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
-   *   indexable attributes.
+   * @param {object|Array} [options.hmac=this.hmac] - An HMAC API for
+   *   blinding indexable attributes or an array of HMAC APIs to query the
+   *   index of each and combine the results.
    * @param {object|Array} [options.equals] - An object with key-value
    *   attribute pairs to match or an array of such objects.
    * @param {string|Array} [options.has] - A string with an attribute name to
    *   match or an array of such strings.
+   * @param {object} [options.query] - A boolean query tree of `and`, `or`,
+   *   `equals`, and `has` nodes to match instead of `equals` and `has`.
+   * @param {object} [options.range] - An object with range-indexed attribute
+   *   names as keys and bounds `{gt, gte, lt, lte}` as values.
+   * @param {object} [options.startsWith] - An object with prefix-indexed
+   *   attribute names as keys and strings their values must start with
+   *   (case-insensitive) as values.
+   * @param {string|object} [options.text] - Words to search text-indexed
+   *   attributes for or `{query, operator, attributes}`.
+   * @param {Function} [options.filter] - A function that is called with each
+   *   decrypted document and returns `true` to include it in the results.
    * @param {boolean} [options.count] - Set to `false` to find all documents
    *   that match a query or to `true` to give a count of documents.
    * @param {number} [options.limit] - Set to limit the number of documents
    *   to be returned from a query (min=1, max=1000).
+   * @param {string} [options.after] - An opaque cursor, as returned via
+   *   `cursor` from a previous call to `find()` with the same query, that
+   *   identifies the page of results to return next.
+   * @param {boolean} [options.strict=true] - Set to `false` to ignore any
+   *   attribute in `equals` or `has` that has not been declared via
+   *   `ensureIndex()` instead of throwing an error.
+   * @param {boolean} [options.decrypt=true] - Set to `false` to return a
+   *   handle `{id, sequence, encryptedDoc, decrypt}` for each matching
+   *   document instead of decrypting it; `decrypt()` returns a Promise that
+   *   resolves to the decrypted document.
+   * @param {string} [options.onDecryptError='throw'] - How to handle a
+   *   document that cannot be decrypted: "throw", "skip", or "collect".
    * @param {object} options.transport - The Transport instance to use.
    *
    * @returns {Promise<object>} - Resolves to the matching documents:
-   *   {documents: [...]}.
+   *   {documents: [...], hasMore?, cursor?, errors?}; if `hasMore` is `true`,
+   *   then `cursor` can be passed as `after` to get the next page of results;
+   *   `errors` is only given if `onDecryptError` is "collect".
    */
   async find({
     keyAgreementKey = this.keyAgreementKey, hmac = this.hmac, equals, has,
-    count = false, limit, transport
+    query, range, startsWith, text, filter, count = false, limit, after,
+    strict = true, decrypt = true, onDecryptError = 'throw', transport
   } = {}) {
     assertTransport(transport);
-    _checkIndexing(hmac);
+    const hmacs = Array.isArray(hmac) ? hmac : [hmac];
+    if(hmacs.length === 0) {
+      throw new TypeError('"hmac" must not be an empty array.');
+    }
+    hmacs.forEach(_checkIndexing);
     if(limit !== undefined &&
       !(Number.isSafeInteger(limit) && limit >= 1 && limit <= 1000)) {
       throw new Error('"limit" must be an integer >= 1 and <= 1000.');
     }
+    if(after !== undefined) {
+      assert(after, 'after', 'string');
+    }
+    if(filter !== undefined) {
+      assert(filter, 'filter', 'function');
+    }
+    if(!DECRYPT_ERROR_MODES.includes(onDecryptError)) {
+      throw new TypeError(
+        '"onDecryptError" must be "throw", "skip", or "collect".');
+    }
+    const errors = onDecryptError === 'collect' ? [] : undefined;
+    if(!decrypt && [range, startsWith, text, filter].some(
+      x => x !== undefined)) {
+      throw new TypeError(
+        '"decrypt" must be `true` when "range", "startsWith", "text", or ' +
+        '"filter" is given.');
+    }
 
-    const query = await this.indexHelper.buildQuery({hmac, equals, has});
-
-    if(count) {
-      query.count = true;
+    // a query tree that can be expressed as a single `equals` and `has`
+    // filter is sent as such; otherwise its filters are sent separately
+    let conjunctions;
+    if(query !== undefined) {
+      if(equals !== undefined || has !== undefined) {
+        throw new TypeError(
+          '"query" must not be given with "equals" or "has".');
+      }
+      conjunctions = this.indexHelper.compileQuery({query});
+      if(!_isSplitQuery(conjunctions)) {
+        ({equals, has} = conjunctions[0][0]);
+        conjunctions = undefined;
+      }
     }
 
-    if(limit !== undefined) {
-      query.limit = limit;
+    // removes any false positives and any documents rejected by `filter`
+    // from the decrypted results
+    const match = _combineFilters(
+      this.indexHelper.createFilter({range, startsWith, text}), filter);
+    const score = this.indexHelper.createRanking({text});
+
+    // every matching document, if they must all be fetched
+    let queries;
+    let fetched;
+    if(conjunctions) {
+      fetched = await this._findConjunctions({
+        conjunctions, hmacs, range, startsWith, text, strict, transport
+      });
+    } else {
+      queries = await Promise.all(hmacs.map(
+        hmac => this.indexHelper.buildQuery(
+          {hmac, equals, has, range, startsWith, text, strict})));
+
+      for(const query of queries) {
+        if(count) {
+          query.count = true;
+        }
+
+        if(limit !== undefined) {
+          query.limit = limit;
+        }
+      }
+
+      // results that must be filtered or combined from more than one index
+      // can only be counted once every matching document has been fetched;
+      // results that are ranked without being paged must all be fetched to
+      // rank them
+      if((count === true && (match || queries.length > 1)) ||
+        (count !== true && score && limit === undefined &&
+        after === undefined)) {
+        const results = await Promise.all(
+          queries.map(query => this._findAll({query, transport})));
+        fetched = _dedupeDocuments(results.flat());
+      }
     }
 
-    // find results
-    const result = await transport.find({query});
+    if(count === true && fetched) {
+      if(!match) {
+        return {count: fetched.length};
+      }
+      const decryptedDocs = await this._decryptAll(
+        {encryptedDocs: fetched, keyAgreementKey, onDecryptError, errors});
+      return {count: decryptedDocs.filter(match).length};
+    }
 
     if(count === true) {
+      const [query] = queries;
+      return this._find(
+        {query: after === undefined ? query : {...query, after}, transport});
+    }
+
+    // find results and wrap them in handles to decrypt them on demand
+    if(!decrypt) {
+      const result = fetched ?
+        _paginate({documents: fetched, limit, after}) :
+        await this._findQueries({queries, limit, after, transport});
+      result.documents = result.documents.map(
+        encryptedDoc => this._createHandle({encryptedDoc, keyAgreementKey}));
       return result;
     }
 
-    // decrypt documents
-    const {documents, hasMore} = result;
-    const decryptedDocs = await Promise.all(documents.map(
-      encryptedDoc => this._decrypt({encryptedDoc, keyAgreementKey})));
+    // find and decrypt results
+    let result;
+    if(fetched && match) {
+      // every document must be filtered before paginating to fill each page
+      const decryptedDocs = await this._decryptAll(
+        {encryptedDocs: fetched, keyAgreementKey, onDecryptError, errors});
+      result = _paginate(
+        {documents: decryptedDocs.filter(match), limit, after});
+    } else if(fetched) {
+      result = _paginate({documents: fetched, limit, after});
+      result.documents = await this._decryptAll({
+        encryptedDocs: result.documents, keyAgreementKey, onDecryptError,
+        errors
+      });
+    } else {
+      result = await this._findPage({
+        queries, limit, after, match, keyAgreementKey, onDecryptError,
+        errors, transport
+      });
+    }
+
+    const {documents: decryptedDocs, hasMore, cursor} = result;
+    if(score) {
+      const scores = new Map(decryptedDocs.map(doc => [doc, score(doc)]));
+      decryptedDocs.sort((a, b) => scores.get(b) - scores.get(a));
+    }
     const rval = {documents: decryptedDocs};
     if(hasMore !== undefined) {
       rval.hasMore = hasMore;
     }
+    if(cursor !== undefined) {
+      rval.cursor = cursor;
+    }
+    if(errors) {
+      rval.errors = errors;
+    }
     return rval;
   }
 
+  /**
+   * Iterates over every document that matches a query, requesting pages of
+   * results from the EDV server as needed. This allows walking all matching
+   * documents in an EDV of any size. A `query` tree that must be sent as
+   * several queries requires fetching every matching document, so its
+   * results are fetched and combined once and then yielded, rather than
+   * being fetched again for every page.
+   *
+   * @see find - For more detailed documentation on the search options.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving a shared KEK to unwrap the content
+   *   encryption key.
+   * @param {object|Array} [options.hmac=this.hmac] - An HMAC API for
+   *   blinding indexable attributes or an array of HMAC APIs to query the
+   *   index of each and combine the results.
+   * @param {object|Array} [options.equals] - An object with key-value
+   *   attribute pairs to match or an array of such objects.
+   * @param {string|Array} [options.has] - A string with an attribute name to
+   *   match or an array of such strings.
+   * @param {object} [options.query] - A boolean query tree of `and`, `or`,
+   *   `equals`, and `has` nodes to match instead of `equals` and `has`.
+   * @param {object} [options.range] - An object with range-indexed attribute
+   *   names as keys and bounds `{gt, gte, lt, lte}` as values.
+   * @param {object} [options.startsWith] - An object with prefix-indexed
+   *   attribute names as keys and strings their values must start with
+   *   (case-insensitive) as values.
+   * @param {string|object} [options.text] - Words to search text-indexed
+   *   attributes for or `{query, operator, attributes}`.
+   * @param {Function} [options.filter] - A function that is called with each
+   *   decrypted document and returns `true` to include it in the results.
+   * @param {number} [options.pageSize=100] - The number of documents to
+   *   request per page (min=1, max=1000).
+   * @param {string} [options.after] - An opaque cursor to start iterating
+   *   from, as returned via `cursor` from a previous call to `find()`.
+   * @param {boolean} [options.strict=true] - Set to `false` to ignore any
+   *   attribute in `equals` or `has` that has not been declared via
+   *   `ensureIndex()` instead of throwing an error.
+   * @param {boolean} [options.decrypt=true] - Set to `false` to yield a
+   *   handle `{id, sequence, encryptedDoc, decrypt}` for each matching
+   *   document instead of decrypting it.
+   * @param {string} [options.onDecryptError='throw'] - How to handle a
+   *   document that cannot be decrypted: "throw" or "skip".
+   * @param {object} options.transport - The Transport instance to use.
+   *
+   * @yields {object} Each matching document.
+   */
+  async *iterate({
+    keyAgreementKey = this.keyAgreementKey, hmac = this.hmac, equals, has,
+    query, range, startsWith, text, filter, pageSize = DEFAULT_PAGE_SIZE,
+    after, strict = true, decrypt = true, onDecryptError = 'throw', transport
+  } = {}) {
+    if(onDecryptError === 'collect') {
+      throw new TypeError(
+        '"onDecryptError" must be "throw" or "skip" when iterating.');
+    }
+    if(!(Number.isSafeInteger(pageSize) && pageSize >= 1 && pageSize <= 1000)) {
+      throw new Error('"pageSize" must be an integer >= 1 and <= 1000.');
+    }
+    let limit = pageSize;
+    if(query !== undefined &&
+      _isSplitQuery(this.indexHelper.compileQuery({query}))) {
+      limit = undefined;
+    }
+    do {
+      const {documents, hasMore, cursor} = await EdvClientCore.prototype.find
+        .call(this, {
+          keyAgreementKey, hmac, equals, has, query, range, startsWith, text,
+          filter, limit, after, strict, decrypt, onDecryptError, transport
+        });
+      yield* documents;
+      if(!hasMore) {
+        break;
+      }
+      if(cursor === undefined) {
+        throw new Error(
+          'Unable to get next page of results; the EDV server did not ' +
+          'return a "cursor".');
+      }
+      after = cursor;
+    } while(true);
+  }
+
   /**
    * Gets the configuration for an EDV.
    *
@@ -504,6 +1476,81 @@ export class EdvClientCore {
     return transport.updateConfig({config});
   }
 
+  /**
+   * Loads the indexes declared in the EDV's index manifest, calling
+   * `ensureIndex()` for each one. The index manifest is an encrypted,
+   * unindexed document with a fixed ID, so every client of the EDV, whatever
+   * HMAC it uses, will declare the same indexes; `hmac` is used to prewarm
+   * the cache of blinded attribute names. Indexes that use functions
+   * (`extract` or a custom `normalize`) cannot be stored in the manifest and
+   * must be declared locally before calling this method.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving a shared KEK to unwrap the content
+   *   encryption key.
+   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
+   *   indexable attributes.
+   * @param {object} options.transport - The Transport instance to use.
+   *
+   * @returns {Promise<object|null>} - Resolves to the index manifest
+   *   document or `null` if the EDV has no index manifest.
+   */
+  async loadIndexes({
+    keyAgreementKey = this.keyAgreementKey, hmac = this.hmac, transport
+  } = {}) {
+    assertTransport(transport);
+    _checkIndexing(hmac);
+
+    const doc = await this._getIndexManifest({keyAgreementKey, transport});
+    if(doc) {
+      applyManifest(
+        {indexHelper: this.indexHelper, manifest: doc.content, hmac});
+    }
+    return doc;
+  }
+
+  /**
+   * Saves the indexes declared via `ensureIndex()` to the EDV's index
+   * manifest, merging them with any indexes already in the manifest, and
+   * records the ID of the HMAC in use. If another client saves the manifest
+   * concurrently, an `InvalidStateError` is thrown and the operation should
+   * be retried.
+   *
+   * @see loadIndexes
+   *
+   * @param {object} options - The options to use.
+   * @param {object[]} [options.recipients=[]] - A set of JWE recipients to
+   *   encrypt the manifest for; if not present, a default recipient will be
+   *   added using `keyAgreementKey`.
+   * @param {Function} [options.keyResolver=this.keyResolver] - A function that
+   *   returns a Promise that resolves a key ID to a DH public key.
+   * @param {object} [options.keyAgreementKey=this.keyAgreementKey] - A
+   *   KeyAgreementKey API for deriving shared KEKs for wrapping content
+   *   encryption keys.
+   * @param {object} [options.hmac=this.hmac] - An HMAC API for blinding
+   *   indexable attributes.
+   * @param {object} options.transport - The Transport instance to use.
+   *
+   * @returns {Promise<object>} - Resolves to the index manifest document.
+   */
+  async saveIndexes({
+    recipients = [], keyResolver = this.keyResolver,
+    keyAgreementKey = this.keyAgreementKey, hmac = this.hmac, transport
+  } = {}) {
+    assertTransport(transport);
+    _checkIndexing(hmac);
+
+    const doc = await this._getIndexManifest(
+      {keyAgreementKey, transport}) || {id: MANIFEST_ID};
+    doc.content = createManifest(
+      {indexHelper: this.indexHelper, hmac, previous: doc.content});
+    // the manifest itself is never indexed
+    return EdvClientCore.prototype.update.call(this, {
+      doc, recipients, keyResolver, keyAgreementKey, hmac: null, transport
+    });
+  }
+
   /**
    * Generates a multibase encoded random 128-bit identifier for a document.
    *
@@ -526,6 +1573,19 @@ export class EdvClientCore {
     return EdvClientCore.generateId();
   }
 
+  // helper that gets the index manifest document or `null` if not found
+  async _getIndexManifest({keyAgreementKey, transport}) {
+    try {
+      return await EdvClientCore.prototype.get.call(
+        this, {id: MANIFEST_ID, keyAgreementKey, transport});
+    } catch(e) {
+      if(e.name === 'NotFoundError') {
+        return null;
+      }
+      throw e;
+    }
+  }
+
   // helper to create default recipients
   _createDefaultRecipients(keyAgreementKey) {
     return keyAgreementKey ? [{
@@ -537,6 +1597,299 @@ export class EdvClientCore {
     }] : [];
   }
 
+  // finds a page of decrypted documents that match `match`; if `limit` is
+  // given, full pages of `limit` results are requested from the EDV server
+  // until `limit` documents match and then at most one more page is
+  // requested to look for another match, so `hasMore` may be `true` even if
+  // no more documents match. The cursor identifies the EDV server's cursor
+  // for a page of results and how many of those results have been consumed.
+  async _findPage({
+    queries, limit, after, match, keyAgreementKey, onDecryptError, errors,
+    transport
+  }) {
+    if(!(match && limit !== undefined)) {
+      const {documents, hasMore, cursor} = await this._findQueries(
+        {queries, limit, after, transport});
+      const decryptedDocs = await this._decryptAll(
+        {encryptedDocs: documents, keyAgreementKey, onDecryptError, errors});
+      return {
+        documents: match ? decryptedDocs.filter(match) : decryptedDocs,
+        hasMore, cursor
+      };
+    }
+
+    let {after: next, skip = 0} = after === undefined ?
+      {} : _decodeCursor(after);
+    if(!(Number.isSafeInteger(skip) && skip >= 0)) {
+      throw new Error('Invalid "after" cursor.');
+    }
+    const documents = [];
+    let lookedAhead = false;
+    while(true) {
+      const page = await this._findQueries(
+        {queries, limit, after: next, transport});
+      if(page.hasMore && page.cursor === undefined) {
+        throw new Error(
+          'Unable to get next page of results; the EDV server did not ' +
+          'return a "cursor".');
+      }
+      const encryptedDocs = page.documents.slice(skip);
+      const pageErrors = [];
+      const decryptedDocs = await this._decryptAll({
+        encryptedDocs, keyAgreementKey, onDecryptError, errors: pageErrors
+      });
+      const decrypted = new Map(decryptedDocs.map(doc => [doc.id, doc]));
+      const failed = new Map(pageErrors.map(error => [error.id, error]));
+
+      // only report errors for the results that are consumed
+      for(const [i, {id}] of encryptedDocs.entries()) {
+        const doc = decrypted.get(id);
+        if(doc && match(doc)) {
+          if(documents.length === limit) {
+            // another match, continue from it next time
+            return {
+              documents, hasMore: true,
+              cursor: _encodeCursor({after: next, skip: skip + i})
+            };
+          }
+          documents.push(doc);
+        } else if(failed.has(id)) {
+          errors?.push(failed.get(id));
+        }
+      }
+      if(!page.hasMore) {
+        return {documents, hasMore: false};
+      }
+      next = page.cursor;
+      skip = 0;
+      if(documents.length === limit) {
+        if(lookedAhead) {
+          return {
+            documents, hasMore: true, cursor: _encodeCursor({after: next})
+          };
+        }
+        lookedAhead = true;
+      }
+    }
+  }
+
+  // wraps an encrypted doc in a handle that decrypts it when asked to
+  _createHandle({encryptedDoc, keyAgreementKey}) {
+    let promise;
+    return {
+      id: encryptedDoc.id,
+      sequence: encryptedDoc.sequence,
+      encryptedDoc,
+      decrypt: () => {
+        promise = promise || this._decrypt({encryptedDoc, keyAgreementKey});
+        return promise;
+      }
+    };
+  }
+
+  // decrypts encrypted documents; a document that cannot be decrypted is
+  // either thrown, skipped, or skipped and collected in `errors` as
+  // `{id, error}`, according to `onDecryptError`
+  async _decryptAll({
+    encryptedDocs, keyAgreementKey, onDecryptError = 'throw', errors
+  }) {
+    if(onDecryptError === 'throw') {
+      return Promise.all(encryptedDocs.map(
+        encryptedDoc => this._decrypt({encryptedDoc, keyAgreementKey})));
+    }
+    const results = await Promise.allSettled(encryptedDocs.map(
+      encryptedDoc => this._decrypt({encryptedDoc, keyAgreementKey})));
+    const decryptedDocs = [];
+    for(const [i, {status, value, reason}] of results.entries()) {
+      if(status === 'fulfilled') {
+        decryptedDocs.push(value);
+      } else if(onDecryptError === 'collect') {
+        errors.push({id: encryptedDocs[i].id, error: reason});
+      }
+    }
+    return decryptedDocs;
+  }
+
+  // fetches every encrypted document that matches every filter in any one of
+  // `conjunctions` from the index for any of `hmacs`
+  async _findConjunctions({
+    conjunctions, hmacs, range, startsWith, text, strict, transport
+  }) {
+    const results = await Promise.all(conjunctions.map(
+      filters => Promise.all(filters.map(async ({equals, has}) => {
+        const queries = await Promise.all(hmacs.map(
+          hmac => this.indexHelper.buildQuery(
+            {hmac, equals, has, range, startsWith, text, strict})));
+        const results = await Promise.all(
+          queries.map(query => this._findAll({query, transport})));
+        return results.flat();
+      }))));
+    return _dedupeDocuments(results.map(_intersectDocuments).flat());
+  }
+
+  // finds encrypted documents that match `query`
+  async _find({query, transport}) {
+    if(query.equals && query.has && !this._supportsCombinedQueries) {
+      return this._findIntersection({query, transport});
+    }
+    try {
+      return await transport.find({query});
+    } catch(e) {
+      if(!(e.name === 'NotSupportedError' && query.equals && query.has)) {
+        throw e;
+      }
+      // server does not support combined filters, so stop sending them and
+      // fall back to filtering the results of the `equals` query
+      this._supportsCombinedQueries = false;
+      return this._findIntersection({query, transport});
+    }
+  }
+
+  // fetches every page of encrypted documents that match `query`
+  async _findAll({query, transport}) {
+    const documents = [];
+    query = {...query, limit: 1000};
+    delete query.count;
+    delete query.after;
+    do {
+      const {documents: page, hasMore, cursor} = await this._find(
+        {query, transport});
+      documents.push(...page);
+      if(!hasMore) {
+        break;
+      }
+      if(cursor === undefined) {
+        throw new Error(
+          'Unable to get next page of results; the EDV server did not ' +
+          'return a "cursor".');
+      }
+      query.after = cursor;
+    } while(true);
+    return documents;
+  }
+
+  // finds a page of encrypted documents that match `queries`, one per index
+  async _findQueries({queries, limit, after, transport}) {
+    if(queries.length > 1) {
+      return this._findUnion({queries, limit, after, transport});
+    }
+    const query = {...queries[0]};
+    if(limit !== undefined) {
+      query.limit = limit;
+    }
+    if(after !== undefined) {
+      query.after = after;
+    }
+    return this._find({query, transport});
+  }
+
+  // finds encrypted documents that match any of `queries`, one per index, by
+  // paging through each query in turn; a document is only returned by the
+  // first query that its index entries match, so it is not repeated on later
+  // pages. The cursor identifies the query to continue and its own cursor.
+  async _findUnion({queries, limit, after, transport}) {
+    let position = 0;
+    let cursor;
+    if(after !== undefined) {
+      ({query: position, after: cursor} = _decodeCursor(after));
+      if(!(Number.isSafeInteger(position) && position >= 0 &&
+        position < queries.length)) {
+        throw new Error('Invalid "after" cursor.');
+      }
+    }
+
+    const documents = [];
+    while(position < queries.length &&
+      (limit === undefined || documents.length < limit)) {
+      const query = {...queries[position]};
+      delete query.limit;
+      if(limit !== undefined) {
+        query.limit = limit - documents.length;
+      }
+      if(cursor !== undefined) {
+        query.after = cursor;
+      }
+      const result = await this._find({query, transport});
+      const earlier = queries.slice(0, position);
+      documents.push(...result.documents.filter(
+        doc => !earlier.some(query => _matchesQuery({doc, query}))));
+      if(result.hasMore) {
+        if(result.cursor === undefined) {
+          throw new Error(
+            'Unable to get next page of results; the EDV server did not ' +
+            'return a "cursor".');
+        }
+        cursor = result.cursor;
+      } else {
+        ++position;
+        cursor = undefined;
+      }
+    }
+
+    const rval = {documents};
+    if(limit !== undefined) {
+      rval.hasMore = position < queries.length;
+      if(rval.hasMore) {
+        rval.cursor = _encodeCursor({query: position, after: cursor});
+      }
+    }
+    return rval;
+  }
+
+  // emulates a query with both `equals` and `has` for an EDV server that does
+  // not support them together by paging through the `equals` query and keeping
+  // the documents whose index entries also match `has`; a page may have fewer
+  // than `limit` documents even if there are more results
+  async _findIntersection({query, transport}) {
+    const {has, count, ...equalsQuery} = query;
+    const matches = doc => _matchesQuery(
+      {doc, query: {index: query.index, has}});
+    if(count === true) {
+      const documents = await this._findAll(
+        {query: equalsQuery, transport});
+      return {count: documents.filter(matches).length};
+    }
+    const result = await this._find({query: equalsQuery, transport});
+    result.documents = result.documents.filter(matches);
+    return result;
+  }
+
+  // updates the index entry for `hmac` of an encrypted document if it does
+  // not match the document's content, fetching the document again and
+  // retrying if it was changed concurrently
+  async _repairIndex({doc, hmac, keyAgreementKey, transport}) {
+    for(let retries = 0; ; ++retries) {
+      const decrypted = await this._decrypt(
+        {encryptedDoc: doc, keyAgreementKey});
+      const {result, entry} = await this._verifyEntry({doc: decrypted, hmac});
+      if(result.valid) {
+        return false;
+      }
+      try {
+        await transport.updateIndex({docId: doc.id, entry});
+        return true;
+      } catch(e) {
+        if(!(e.name === 'InvalidStateError' && retries < MAX_RETRIES)) {
+          throw e;
+        }
+      }
+      doc = await transport.get({id: doc.id});
+    }
+  }
+
+  // compares the index entry for `hmac` of a decrypted document with the
+  // entry computed from its content
+  async _verifyEntry({doc, hmac}) {
+    const entry = await this.indexHelper.createEntry({hmac, doc});
+    const actual = (doc.indexed || []).find(
+      e => e.hmac.id === hmac.id && e.hmac.type === hmac.type);
+    const result = _diffEntries({expected: entry, actual});
+    result.valid = result.missing.length === 0 &&
+      result.extra.length === 0 && result.mismatched.length === 0 &&
+      result.sequence.expected === result.sequence.actual;
+    return {result, entry};
+  }
+
   // helper that decrypts an encrypted doc to include its (cleartext) content
   async _decrypt({encryptedDoc, keyAgreementKey}) {
     // validate `encryptedDoc`
@@ -547,7 +1900,8 @@ export class EdvClientCore {
     // decrypt doc content
     const {cipher} = this;
     const {jwe} = encryptedDoc;
-    const data = await cipher.decryptObject({jwe, keyAgreementKey});
+    const data = await this._limitDecrypt(
+      () => cipher.decryptObject({jwe, keyAgreementKey}));
     if(data === null) {
       throw new Error('Decryption failed.');
     }
@@ -641,6 +1995,127 @@ export class EdvClientCore {
     return encrypted;
   }
 
+  // gets a document, applies `mutator` to it, and writes it back, retrying
+  // if it was changed concurrently
+  async _updateWithRetry({
+    id, mutator, recipients, keyResolver, keyAgreementKey, hmac, maxRetries,
+    retryDelay, transport
+  }) {
+    // if no recipients specified, add default
+    if(recipients.length === 0 && keyAgreementKey) {
+      recipients = this._createDefaultRecipients(keyAgreementKey);
+    }
+    for(let retries = 0; ; ++retries) {
+      const doc = await this._decrypt({
+        encryptedDoc: await transport.get({id}), keyAgreementKey
+      });
+      const result = await mutator(doc);
+      if(result !== undefined) {
+        assert(result, 'mutator result', 'object');
+        // keep the existing `content` or `meta` if the mutator did not
+        // return it
+        if(result.content !== undefined) {
+          doc.content = result.content;
+        }
+        if(result.meta !== undefined) {
+          doc.meta = result.meta;
+        }
+      }
+      assertDocument(doc);
+
+      const encrypted = await this._encrypt(
+        {doc, recipients, keyResolver, hmac, update: true});
+      try {
+        await transport.update({encrypted});
+        encrypted.content = doc.content;
+        encrypted.meta = doc.meta;
+        if(doc.stream !== undefined) {
+          encrypted.stream = doc.stream;
+        }
+        return encrypted;
+      } catch(e) {
+        if(e.name !== 'InvalidStateError') {
+          throw e;
+        }
+        if(retries >= maxRetries) {
+          const err = new Error(
+            `Document "${id}" was changed concurrently ${retries + 1} ` +
+            'time(s) while being updated.');
+          err.name = 'InvalidStateError';
+          err.cause = e;
+          err.attempted = doc;
+          try {
+            err.current = await this._decrypt({
+              encryptedDoc: await transport.get({id}), keyAgreementKey
+            });
+          } catch(e) {
+            // surface the conflict even if the latest version is unavailable
+          }
+          throw err;
+        }
+      }
+      // wait between half and all of the backoff delay so that concurrent
+      // writers do not retry in lockstep
+      const delay = retryDelay * 2 ** retries;
+      await _sleep(delay / 2 + Math.random() * delay / 2);
+    }
+  }
+
+  // encrypts and inserts or updates many documents in batches
+  async _writeMany({
+    docs, recipients, keyResolver, keyAgreementKey, hmac, concurrency,
+    batchSize, update, transport
+  }) {
+    // if no recipients specified, add default
+    if(recipients.length === 0 && keyAgreementKey) {
+      recipients = this._createDefaultRecipients(keyAgreementKey);
+    }
+    const limit = createLimiter({concurrency});
+    const results = [];
+    for(const batch of _batches({items: docs, batchSize})) {
+      const encrypted = await Promise.all(batch.map(doc => limit(async () => {
+        doc = {...doc};
+        // auto generate document ID
+        if(doc.id === undefined) {
+          doc.id = await EdvClientCore.generateId();
+        }
+        try {
+          return {doc, encrypted: await this._encrypt(
+            {doc, recipients, keyResolver, hmac, update})};
+        } catch(error) {
+          return {doc, error};
+        }
+      })));
+
+      // send the documents that could be encrypted to the EDV server
+      const toSend = encrypted.filter(({error}) => !error)
+        .map(({encrypted}) => encrypted);
+      const sent = toSend.length === 0 ? [] : await (update ?
+        transport.updateMany({encrypted: toSend}) :
+        transport.insertMany({encrypted: toSend}));
+      let next = 0;
+      for(const {doc, encrypted: result, error} of encrypted) {
+        const {id} = doc;
+        if(error) {
+          results.push({id, error});
+          continue;
+        }
+        const {error: sendError} = sent[next++];
+        if(sendError) {
+          results.push({id, error: sendError});
+          continue;
+        }
+        result.content = doc.content;
+        result.meta = doc.meta;
+        if(doc.stream !== undefined) {
+          result.stream = doc.stream;
+        }
+        results.push({id, doc: result});
+      }
+    }
+    return results;
+  }
+
   // helper that creates or updates a stream of data associated with a doc
   async _updateStream({
     doc, stream, chunkSize = DEFAULT_CHUNK_SIZE,
@@ -705,6 +2180,222 @@ function _checkIndexing(hmac) {
   }
 }
 
+function _assertRetryOptions({maxRetries, retryDelay}) {
+  if(!(Number.isSafeInteger(maxRetries) && maxRetries >= 0)) {
+    throw new TypeError('"maxRetries" must be a non-negative integer.');
+  }
+  if(!(Number.isFinite(retryDelay) && retryDelay >= 0)) {
+    throw new TypeError('"retryDelay" must be a non-negative number.');
+  }
+}
+
+function _sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function _assertDocuments(docs) {
+  if(!Array.isArray(docs)) {
+    throw new TypeError('"docs" must be an array of objects.');
+  }
+  docs.forEach(assertDocument);
+}
+
+// splits `items` into arrays of at most `batchSize` items
+function _batches({items, batchSize}) {
+  if(!(Number.isSafeInteger(batchSize) && batchSize >= 1)) {
+    throw new TypeError('"batchSize" must be a positive integer.');
+  }
+  const batches = [];
+  for(let i = 0; i < items.length; i += batchSize) {
+    batches.push(items.slice(i, i + batchSize));
+  }
+  return batches;
+}
+
+// removes the index entry for `hmacId` from an encrypted document, if it has
+// one, fetching the document again and retrying if it was changed
+// concurrently; there is nothing to remove if it was deleted meanwhile
+async function _removeIndexEntry({doc, hmacId, transport}) {
+  for(let retries = 0; ; ++retries) {
+    if(!doc.indexed.some(e => e.hmac.id === hmacId)) {
+      return false;
+    }
+    try {
+      await transport.removeIndex(
+        {docId: doc.id, hmacId, sequence: doc.sequence});
+      return true;
+    } catch(e) {
+      if(!(e.name === 'InvalidStateError' && retries < MAX_RETRIES)) {
+        throw e;
+      }
+    }
+    try {
+      doc = await transport.get({id: doc.id});
+    } catch(e) {
+      if(e.name === 'NotFoundError') {
+        return false;
+      }
+      throw e;
+    }
+  }
+}
+
+// compares the blinded attributes of an expected index entry with those of
+// an actual entry (if any), grouping them by blinded name
+function _diffEntries({expected, actual}) {
+  const expectedByName = _groupAttributes(expected.attributes);
+  const actualByName = _groupAttributes(actual?.attributes || []);
+  const missing = [];
+  const extra = [];
+  const mismatched = [];
+  for(const [name, attributes] of expectedByName) {
+    const other = actualByName.get(name);
+    if(!other) {
+      missing.push(...attributes);
+    } else if(!_sameAttributes(attributes, other)) {
+      mismatched.push({name, expected: attributes, actual: other});
+    }
+  }
+  for(const [name, attributes] of actualByName) {
+    if(!expectedByName.has(name)) {
+      extra.push(...attributes);
+    }
+  }
+  return {
+    missing, extra, mismatched,
+    sequence: {expected: expected.sequence, actual: actual?.sequence}
+  };
+}
+
+function _groupAttributes(attributes) {
+  const groups = new Map();
+  for(const attribute of attributes) {
+    const group = groups.get(attribute.name);
+    if(group) {
+      group.push(attribute);
+    } else {
+      groups.set(attribute.name, [attribute]);
+    }
+  }
+  return groups;
+}
+
+function _sameAttributes(a, b) {
+  const key = ({value, unique}) => `${!!unique}:${value}`;
+  const keys = new Set(a.map(key));
+  return keys.size === new Set(b.map(key)).size &&
+    b.every(attribute => keys.has(key(attribute)));
+}
+
+// returns a function that only accepts documents that every given filter
+// accepts or `undefined` if no filters are given
+function _combineFilters(...filters) {
+  filters = filters.filter(f => f);
+  if(filters.length < 2) {
+    return filters[0];
+  }
+  return doc => filters.every(f => f(doc));
+}
+
+// returns `true` if the index entry of an encrypted document for the index
+// of `query` matches its blinded `equals` and `has` as the EDV server would
+function _matchesQuery({doc, query}) {
+  const entry = doc.indexed?.find(({hmac}) => hmac.id === query.index);
+  if(!entry) {
+    return false;
+  }
+  const names = new Set(entry.attributes.map(({name}) => name));
+  const pairs = new Set(
+    entry.attributes.map(({name, value}) => `${name}=${value}`));
+  if(query.has && !query.has.every(name => names.has(name))) {
+    return false;
+  }
+  return !query.equals || query.equals.some(equals => Object.entries(equals)
+    .every(([name, value]) => pairs.has(`${name}=${value}`)));
+}
+
+// returns `true` if the conjunctions compiled from a query tree cannot be
+// sent as a single query
+function _isSplitQuery(conjunctions) {
+  return !(conjunctions.length === 1 && conjunctions[0].length === 1);
+}
+
+// returns the documents that are in every one of `lists`, keeping the one
+// with the highest `sequence`
+function _intersectDocuments(lists) {
+  const [first, ...rest] = lists.map(_dedupeDocuments);
+  const others = rest.map(list => new Map(list.map(doc => [doc.id, doc])));
+  const documents = [];
+  for(let doc of first) {
+    for(const other of others) {
+      const match = other.get(doc.id);
+      if(!match) {
+        doc = undefined;
+        break;
+      }
+      if(match.sequence > doc.sequence) {
+        doc = match;
+      }
+    }
+    if(doc) {
+      documents.push(doc);
+    }
+  }
+  return documents;
+}
+
+// removes duplicate documents, keeping the one with the highest `sequence`
+function _dedupeDocuments(documents) {
+  const docs = new Map();
+  for(const doc of documents) {
+    const existing = docs.get(doc.id);
+    if(!existing || doc.sequence > existing.sequence) {
+      docs.set(doc.id, doc);
+    }
+  }
+  return [...docs.values()];
+}
+
+function _encodeCursor(value) {
+  return base64url.encode(
+    new TextEncoder().encode(JSON.stringify(value)));
+}
+
+function _decodeCursor(cursor) {
+  let value;
+  try {
+    value = JSON.parse(new TextDecoder().decode(base64url.decode(cursor)));
+  } catch(e) {
+    // invalid cursor, handled below
+  }
+  if(!(value && typeof value === 'object')) {
+    throw new Error('Invalid "after" cursor.');
+  }
+  return value;
+}
+
+// returns a page of `limit` documents (or every document if `limit` is not
+// given) from `documents` that follows the document with the ID `after`
+function _paginate({documents, limit, after}) {
+  if(after !== undefined) {
+    const i = documents.findIndex(({id}) => id === after);
+    if(i === -1) {
+      throw new Error(
+        `Invalid "after" cursor; document "${after}" is not in the results.`);
+    }
+    documents = documents.slice(i + 1);
+  }
+  const result = {documents};
+  if(limit !== undefined) {
+    result.hasMore = documents.length > limit;
+    if(result.hasMore) {
+      result.documents = documents.slice(0, limit);
+      result.cursor = documents[limit - 1].id;
+    }
+  }
+  return result;
+}
+
 function _findRecipient(recipients, recipient) {
   const {kid, alg} = recipient.header;
   return recipients.find(
@@ -107,6 +107,39 @@ export class EdvDocument {
     });
   }
 
+  /**
+   * Applies a JSON Patch (RFC 6902) or JSON Merge Patch (RFC 7396) to the
+   * `content` and `meta` of this document and writes it to its EDV.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array|object} options.patch - The JSON Patch operations or the
+   *   JSON Merge Patch to apply.
+   * @param {string} [options.format='json-patch'] - The format of `patch`:
+   *   "json-patch" or "merge-patch".
+   * @param {number} [options.sequence] - The sequence number of the version
+   *   of the document that the patch was made for.
+   * @param {boolean} [options.rebase=false] - Set to `true` to apply the
+   *   patch to the latest version of the document if it has changed.
+   * @param {Array} [options.recipients=[]] - An array of additional recipients
+   *   for the encrypted content.
+   * @param {Function} options.keyResolver - A function that returns a Promise
+   *   that resolves a key ID to a DH public key.
+   *
+   * @returns {Promise<object>} - Resolves to the patched document.
+   */
+  async patch({
+    patch, format, sequence, rebase,
+    recipients = this.recipients, keyResolver = this.keyResolver
+  }) {
+    const {
+      id, keyAgreementKey, hmac, capability, invocationSigner, client
+    } = this;
+    return client.patch({
+      id, patch, format, sequence, rebase, recipients, keyResolver,
+      keyAgreementKey, hmac, capability, invocationSigner
+    });
+  }
+
   /**
    * Deletes this document from the EDV.
    *
@@ -0,0 +1,149 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {assert} from './assert.js';
+import {EdvMigrator} from './EdvMigrator.js';
+
+export class EdvHmacRotator extends EdvMigrator {
+  /**
+   * Creates a rotator that replaces the index entries blinded with one HMAC
+   * key with entries blinded with another for every document that matches a
+   * query.
+   *
+   * A rotation has two phases. First, `addEntries()` adds an index entry for
+   * the new HMAC to each document, alongside its existing entry for the old
+   * HMAC. During the transition, `find()` can be called with either HMAC:
+   * `find({hmac: oldHmac})` continues to match every document and, once
+   * `addEntries()` completes, so does `find({hmac: newHmac})`. Documents
+   * written during the transition should be written using the new HMAC.
+   * Finally, once every client has switched to the new HMAC,
+   * `removeEntries()` removes the entries for the old HMAC from each
+   * document's `indexed` array.
+   *
+   * Each phase saves its progress to the optional `checkpointStore` after
+   * each page of documents, so an interrupted phase can be resumed by
+   * calling it again on a new rotator with the same store. `removeEntries()`
+   * can only be called once `addEntries()` has completed on the same rotator
+   * or, according to `checkpointStore`, on another one.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.client - The EdvClient instance to use.
+   * @param {object} options.oldHmac - The HMAC API to rotate from.
+   * @param {object} options.newHmac - The HMAC API to rotate to.
+   * @param {object|Array} [options.equals] - An object with key-value
+   *   attribute pairs to match or an array of such objects.
+   * @param {string|Array} [options.has] - A string with an attribute name to
+   *   match or an array of such strings.
+   * @param {object} [options.checkpointStore] - An object with async `get()`
+   *   and `set(checkpoint)` functions used to save and restore progress and
+   *   async `getIds()` and `setIds(ids)` functions used to save and restore
+   *   the IDs of the documents to process.
+   * @param {Function} [options.onProgress] - A function that is called with
+   *   `{phase, migrated, done}` after each page of documents is processed.
+   * @param {number} [options.concurrency=5] - The maximum number of documents
+   *   to process in parallel.
+   * @param {number} [options.maxRetries=3] - The maximum number of times to
+   *   retry processing a document that was changed concurrently.
+   * @param {number} [options.pageSize=100] - The number of documents to
+   *   request per page (min=1, max=1000).
+   *
+   * @returns {EdvHmacRotator} The new EdvHmacRotator instance.
+   */
+  constructor({
+    client, oldHmac, newHmac, equals, has, checkpointStore, onProgress,
+    concurrency, maxRetries, pageSize
+  } = {}) {
+    assert(client, 'client', 'object');
+    assert(oldHmac, 'oldHmac', 'object');
+    assert(newHmac, 'newHmac', 'object');
+    if(oldHmac.id === newHmac.id) {
+      throw new Error('"oldHmac" and "newHmac" must have different IDs.');
+    }
+    super({
+      from: client, to: client, equals, has, checkpointStore,
+      concurrency, maxRetries, pageSize, reencrypt: false
+    });
+    this.client = client;
+    this.oldHmac = oldHmac;
+    this.newHmac = newHmac;
+    this.phase = undefined;
+    // whether `addEntries()` has completed on this instance
+    this.added = false;
+    if(onProgress !== undefined) {
+      assert(onProgress, 'onProgress', 'function');
+      this.onProgress = event => onProgress({phase: this.phase, ...event});
+    }
+  }
+
+  /**
+   * Adds an index entry for the new HMAC to every matching document, which
+   * is found using the old HMAC.
+   *
+   * @returns {Promise<object>} - Resolves to `{migrated}` once every matching
+   *   document has an entry for the new HMAC.
+   */
+  async addEntries() {
+    return this._runPhase('add');
+  }
+
+  /**
+   * Removes the index entry for the old HMAC from every matching document,
+   * which is found using the old HMAC. `addEntries()` must have completed
+   * first. Any matching document that has no entry for the new HMAC, e.g.,
+   * because it was written by a client using the old HMAC after
+   * `addEntries()` completed, is given one before its old entry is removed.
+   *
+   * @returns {Promise<object>} - Resolves to `{migrated}` once no matching
+   *   document has an entry for the old HMAC.
+   */
+  async removeEntries() {
+    return this._runPhase('remove');
+  }
+
+  async _runPhase(phase) {
+    this.phase = phase;
+    const result = await this.run();
+    if(phase === 'add') {
+      this.added = true;
+    }
+    return result;
+  }
+
+  async _getCheckpoint() {
+    const checkpoint = await super._getCheckpoint();
+    if(checkpoint.phase === this.phase) {
+      return checkpoint;
+    }
+    if(this.phase === 'remove' && !this.added &&
+      !(checkpoint.phase === 'add' && checkpoint.done)) {
+      throw new Error(
+        'Index entries for the new HMAC must be added before index entries ' +
+        'for the old HMAC are removed.');
+    }
+    // start a new phase
+    return {migrated: 0, done: false};
+  }
+
+  async _setCheckpoint(checkpoint) {
+    return super._setCheckpoint({phase: this.phase, ...checkpoint});
+  }
+
+  // both phases find the documents that have an entry for the old HMAC
+  async _findPage({after}) {
+    const {client, oldHmac: hmac, equals, has, pageSize} = this;
+    return client.find(
+      {hmac, equals, has, limit: pageSize, after, decrypt: false});
+  }
+
+  async _writeDocument({doc}) {
+    const {client, oldHmac, newHmac} = this;
+    const hasEntry = ({id}) => doc.indexed.some(e => e.hmac.id === id);
+    if(this.phase === 'add' || !hasEntry(newHmac)) {
+      // updating an index entry does not change the document's sequence
+      await client.updateIndex({doc, hmac: newHmac});
+    }
+    if(this.phase === 'remove' && hasEntry(oldHmac)) {
+      await client.removeIndex({doc, hmacId: oldHmac.id});
+    }
+  }
+}
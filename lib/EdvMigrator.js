@@ -0,0 +1,274 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {assert} from './assert.js';
+
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+export class EdvMigrator {
+  /**
+   * Creates a migrator that rewrites the index entries of every document
+   * that matches a query, e.g., to migrate documents from version 1 blinded
+   * attributes (`_attributeVersion: 1`) to version 2 blinded attributes.
+   *
+   * Documents are read using the `from` client and their index entries are
+   * rewritten using the `to` client. If both clients use the same EDV,
+   * key agreement key, and cipher version, only the index entries are
+   * replaced via `updateIndex()`; otherwise each document is re-encrypted
+   * and fully updated via `update()`.
+   *
+   * The IDs of every matching document are collected before any document is
+   * migrated, as rewriting index entries can change which documents match
+   * the query and, with EDV servers that page results by position, which
+   * page each document is on. The documents are then fetched and migrated a
+   * page at a time; a document that has been deleted from the EDV since its
+   * ID was collected is skipped.
+   *
+   * The collected IDs are saved once to the optional `checkpointStore` and
+   * progress, the position of the next page in them, is saved after each
+   * page of documents is migrated, so a migration that is interrupted can
+   * be resumed by running a new migrator with the same store. If a document
+   * is changed
+   * by another writer while it is being migrated, it is fetched again and
+   * the migration of that document is retried.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.from - The EdvClient instance configured to
+   *   read the documents to migrate (e.g., using the attribute version to
+   *   convert from).
+   * @param {object} options.to - The EdvClient instance configured to
+   *   write the migrated documents (e.g., using the attribute version to
+   *   convert to).
+   * @param {object|Array} [options.equals] - An object with key-value
+   *   attribute pairs to match or an array of such objects.
+   * @param {string|Array} [options.has] - A string with an attribute name to
+   *   match or an array of such strings.
+   * @param {object} [options.checkpointStore] - An object with async `get()`
+   *   and `set(checkpoint)` functions used to save and restore progress and
+   *   async `getIds()` and `setIds(ids)` functions used to save and restore
+   *   the IDs of the documents to migrate.
+   * @param {Function} [options.onProgress] - A function that is called with
+   *   `{migrated, done}` after each page of documents is migrated.
+   * @param {number} [options.concurrency=5] - The maximum number of documents
+   *   to migrate in parallel.
+   * @param {number} [options.maxRetries=3] - The maximum number of times to
+   *   retry migrating a document that was changed concurrently.
+   * @param {number} [options.pageSize=100] - The number of documents to
+   *   request per page (min=1, max=1000).
+   * @param {boolean} [options.reencrypt] - Set to `true` to always re-encrypt
+   *   documents or to `false` to never re-encrypt them; by default, documents
+   *   are only re-encrypted if necessary.
+   *
+   * @returns {EdvMigrator} The new EdvMigrator instance.
+   */
+  constructor({
+    from, to, equals, has, checkpointStore, onProgress,
+    concurrency = DEFAULT_CONCURRENCY, maxRetries = DEFAULT_MAX_RETRIES,
+    pageSize = DEFAULT_PAGE_SIZE, reencrypt
+  } = {}) {
+    assert(from, 'from', 'object');
+    assert(to, 'to', 'object');
+    if(checkpointStore !== undefined) {
+      assert(checkpointStore, 'checkpointStore', 'object');
+      assert(checkpointStore.get, 'checkpointStore.get', 'function');
+      assert(checkpointStore.set, 'checkpointStore.set', 'function');
+      assert(checkpointStore.getIds, 'checkpointStore.getIds', 'function');
+      assert(checkpointStore.setIds, 'checkpointStore.setIds', 'function');
+    }
+    if(onProgress !== undefined) {
+      assert(onProgress, 'onProgress', 'function');
+    }
+    if(!(Number.isSafeInteger(concurrency) && concurrency >= 1)) {
+      throw new TypeError('"concurrency" must be a positive integer.');
+    }
+    if(!(Number.isSafeInteger(maxRetries) && maxRetries >= 0)) {
+      throw new TypeError('"maxRetries" must be a non-negative integer.');
+    }
+    if(!(Number.isSafeInteger(pageSize) && pageSize >= 1 &&
+      pageSize <= MAX_PAGE_SIZE)) {
+      throw new TypeError(
+        `"pageSize" must be an integer from 1 to ${MAX_PAGE_SIZE}.`);
+    }
+    if(reencrypt === undefined) {
+      reencrypt = from.id !== to.id ||
+        from.keyAgreementKey?.id !== to.keyAgreementKey?.id ||
+        from.cipher.version !== to.cipher.version;
+    }
+    this.from = from;
+    this.to = to;
+    this.equals = equals;
+    this.has = has;
+    this.checkpointStore = checkpointStore;
+    this.onProgress = onProgress;
+    this.concurrency = concurrency;
+    this.maxRetries = maxRetries;
+    this.pageSize = pageSize;
+    this.reencrypt = reencrypt;
+  }
+
+  /**
+   * Runs the migration, resuming from the last checkpoint if one exists.
+   *
+   * @returns {Promise<object>} - Resolves to `{migrated}` once every matching
+   *   document has been migrated, where `migrated` is the total number of
+   *   documents migrated (including by any previous runs).
+   */
+  async run() {
+    const checkpoint = await this._getCheckpoint();
+    let {next, migrated} = checkpoint;
+    if(checkpoint.done) {
+      return {migrated};
+    }
+    let ids;
+    if(next === undefined) {
+      ids = await this._findIds();
+      await this._setIds(ids);
+      next = 0;
+      await this._setCheckpoint({next, migrated, done: false});
+    } else {
+      ids = await this._getIds();
+    }
+
+    let done = false;
+    while(!done) {
+      const page = ids.slice(next, next + this.pageSize);
+      const documents = await this._getDocuments({ids: page});
+      await _forEachConcurrently({
+        items: documents,
+        concurrency: this.concurrency,
+        fn: async doc => this._migrateDocument({doc})
+      });
+      migrated += documents.length;
+      next += page.length;
+      done = next >= ids.length;
+      await this._setCheckpoint(
+        done ? {migrated, done} : {next, migrated, done});
+      if(this.onProgress) {
+        await this.onProgress({migrated, done});
+      }
+    }
+    return {migrated};
+  }
+
+  // gets the checkpoint to resume from
+  async _getCheckpoint() {
+    const {checkpointStore} = this;
+    return (checkpointStore && await checkpointStore.get()) ||
+      {migrated: 0, done: false};
+  }
+
+  // saves a checkpoint after a page of documents has been migrated
+  async _setCheckpoint(checkpoint) {
+    if(this.checkpointStore) {
+      await this.checkpointStore.set(checkpoint);
+    }
+  }
+
+  // gets the IDs of the documents to migrate to resume from a checkpoint
+  async _getIds() {
+    return this.checkpointStore.getIds();
+  }
+
+  // saves the IDs of the documents to migrate before any is migrated
+  async _setIds(ids) {
+    if(this.checkpointStore) {
+      await this.checkpointStore.setIds(ids);
+    }
+  }
+
+  // finds the IDs of every document to migrate
+  async _findIds() {
+    const ids = [];
+    let after;
+    for(;;) {
+      const {documents, hasMore, cursor} = await this._findPage({after});
+      ids.push(...documents.map(({id}) => id));
+      if(!hasMore) {
+        return ids;
+      }
+      if(cursor === undefined) {
+        throw new Error(
+          'Unable to get next page of results; the EDV server did not ' +
+          'return a "cursor".');
+      }
+      after = cursor;
+    }
+  }
+
+  // finds the next page of documents to migrate, without decrypting them
+  async _findPage({after}) {
+    const {from, equals, has, pageSize} = this;
+    return from.find({equals, has, limit: pageSize, after, decrypt: false});
+  }
+
+  // gets the documents with the given IDs, skipping any that were deleted
+  async _getDocuments({ids}) {
+    const results = await this.from.getMany({ids});
+    const documents = [];
+    for(const {doc, error} of results) {
+      if(error) {
+        if(error.name === 'NotFoundError') {
+          continue;
+        }
+        throw error;
+      }
+      documents.push(doc);
+    }
+    return documents;
+  }
+
+  // writes a single migrated document
+  async _writeDocument({doc}) {
+    const {to} = this;
+    if(this.reencrypt) {
+      await to.update({doc});
+    } else {
+      await to.updateIndex({doc});
+    }
+  }
+
+  // migrates a single document, retrying if it was changed concurrently
+  async _migrateDocument({doc}) {
+    for(let retries = 0; ; ++retries) {
+      try {
+        await this._writeDocument({doc});
+        return;
+      } catch(e) {
+        if(!(e.name === 'InvalidStateError' && retries < this.maxRetries)) {
+          throw e;
+        }
+      }
+      // get latest version of the document and try again
+      doc = await this.from.get({id: doc.id});
+    }
+  }
+}
+
+// calls `fn` for every item with at most `concurrency` calls at once; if any
+// call fails, no new calls are started and the first error is thrown once
+// pending calls have settled
+async function _forEachConcurrently({items, concurrency, fn}) {
+  let next = 0;
+  let error;
+  const worker = async () => {
+    while(error === undefined && next < items.length) {
+      const item = items[next++];
+      try {
+        await fn(item);
+      } catch(e) {
+        error = error || e;
+      }
+    }
+  };
+  const workers = [];
+  for(let i = 0; i < Math.min(concurrency, items.length); ++i) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  if(error !== undefined) {
+    throw error;
+  }
+}
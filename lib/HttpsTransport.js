@@ -7,6 +7,8 @@ import {signCapabilityInvocation} from
   '@digitalbazaar/http-signature-zcap-invoke';
 
 const ZCAP_ROOT_PREFIX = 'urn:zcap:root:';
+// statuses from a server that has no batch endpoint
+const BATCH_UNSUPPORTED_STATUSES = [404, 405, 501];
 
 export class HttpsTransport {
   /**
@@ -190,6 +192,46 @@ export class HttpsTransport {
     await this._signedHttpPost({url, json: encrypted, insert: false});
   }
 
+  /**
+   * Sends many new encrypted documents to an EDV server in a single request
+   * to the server's batch endpoint. If the server does not have a batch
+   * endpoint, each document is inserted in turn instead.
+   *
+   * @inheritdoc
+   */
+  async insertMany({encrypted} = {}) {
+    const results = await this._postBatch(
+      {json: {operation: 'insert', documents: encrypted}});
+    if(!results) {
+      return _mapInTurn({
+        ids: encrypted.map(({id}) => id),
+        fn: async i => this.insert({encrypted: encrypted[i]})
+      });
+    }
+    return encrypted.map(({id}, i) => _toBatchResult(
+      {id, result: results[i], conflictName: 'DuplicateError'}));
+  }
+
+  /**
+   * Sends many encrypted documents to an EDV server in a single request to
+   * the server's batch endpoint. If the server does not have a batch
+   * endpoint, each document is updated in turn instead.
+   *
+   * @inheritdoc
+   */
+  async updateMany({encrypted} = {}) {
+    const results = await this._postBatch(
+      {json: {operation: 'update', documents: encrypted}});
+    if(!results) {
+      return _mapInTurn({
+        ids: encrypted.map(({id}) => id),
+        fn: async i => this.update({encrypted: encrypted[i]})
+      });
+    }
+    return encrypted.map(({id}, i) => _toBatchResult(
+      {id, result: results[i], conflictName: 'InvalidStateError'}));
+  }
+
   /**
    * @inheritdoc
    */
@@ -198,6 +240,17 @@ export class HttpsTransport {
     await this._signedHttpPost({url, json: entry, insert: false});
   }
 
+  /**
+   * @inheritdoc
+   */
+  async removeIndex({docId, hmacId, sequence} = {}) {
+    const url = this._getDocUrl(docId, this.capability) +
+      `/index/${encodeURIComponent(hmacId)}?sequence=${sequence}`;
+    await this._signedHttpDelete({
+      url, notFoundMessage: 'Index entry not found.'
+    });
+  }
+
   /**
    * @inheritdoc
    */
@@ -209,6 +262,26 @@ export class HttpsTransport {
     return response.data;
   }
 
+  /**
+   * Gets many encrypted documents from an EDV server in a single request to
+   * the server's batch endpoint. If the server does not have a batch
+   * endpoint, each document is retrieved in turn instead.
+   *
+   * @inheritdoc
+   */
+  async getMany({ids} = {}) {
+    const results = await this._postBatch({
+      json: {operation: 'get', ids}, capabilityAction: 'read'
+    });
+    if(!results) {
+      return _mapInTurn({
+        ids,
+        fn: async i => ({encrypted: await this.get({id: ids[i]})})
+      });
+    }
+    return ids.map((id, i) => _toBatchResult({id, result: results[i]}));
+  }
+
   /**
    * @inheritdoc
    */
@@ -227,17 +300,34 @@ export class HttpsTransport {
     }
 
     // do signed HTTP post w/'read' action
-    const response = await this._signedHttpPost({
-      url, json: query, capability, capabilityAction: 'read'
-    });
+    let response;
+    try {
+      response = await this._signedHttpPost({
+        url, json: query, capability, capabilityAction: 'read'
+      });
+    } catch(e) {
+      // older servers reject queries that combine `equals` and `has` as
+      // failing validation
+      if(query.equals && query.has && _isValidationError(e)) {
+        const err = new Error(
+          'Queries with both "equals" and "has" are not supported.');
+        err.name = 'NotSupportedError';
+        err.cause = e;
+        throw err;
+      }
+      throw e;
+    }
     if(query.count === true) {
       return response.data;
     }
-    const {data: {documents, hasMore}} = response;
+    const {data: {documents, hasMore, cursor}} = response;
     const result = {documents};
     if(hasMore !== undefined) {
       result.hasMore = hasMore;
     }
+    if(cursor !== undefined) {
+      result.cursor = cursor;
+    }
     return result;
   }
 
@@ -323,6 +413,40 @@ export class HttpsTransport {
     }
   }
 
+  async _signedHttpDelete({
+    url, capability = this.capability, notFoundMessage
+  } = {}) {
+    if(!capability) {
+      capability = this._rootZcapId;
+    }
+    try {
+      // sign HTTP header
+      const {defaultHeaders, httpsAgent: agent, invocationSigner} = this;
+      const headers = await signCapabilityInvocation({
+        url, method: 'delete', headers: defaultHeaders,
+        capability, invocationSigner,
+        capabilityAction: 'write'
+      });
+      // send request
+      return await httpClient.delete(url, {headers, agent});
+    } catch(e) {
+      // normalize not found and conflict errors
+      if(notFoundMessage && e.status === 404) {
+        const err = new Error(notFoundMessage);
+        err.name = 'NotFoundError';
+        err.cause = e;
+        throw err;
+      }
+      if(e.status === 409) {
+        const err = new Error('Conflict error.');
+        err.name = 'InvalidStateError';
+        err.cause = e;
+        throw err;
+      }
+      throw e;
+    }
+  }
+
   async _signedHttpPost({
     url, json, capability = this.capability, capabilityAction = 'write', insert
   } = {}) {
@@ -357,6 +481,38 @@ export class HttpsTransport {
     }
   }
 
+  // sends a batch of operations, `{operation, documents}` or
+  // `{operation: 'get', ids}`, to the server's batch endpoint at
+  // `<documents URL>/batch`, resolving to the result for each operation,
+  // `{status, document?}`, or to `null` if there is no batch endpoint; a
+  // server without one may route the batch URL to its document update route
+  // (as an update of a document with the ID `batch`), which rejects the
+  // request as invalid, so a validation error also means there is none
+  async _postBatch({json, capabilityAction = 'write'}) {
+    let url;
+    if(this.edvId) {
+      url = `${this.edvId}/documents/batch`;
+    } else {
+      // a capability for a single document cannot be used for a batch
+      url = HttpsTransport._getInvocationTarget({capability: this.capability});
+      if(!url?.endsWith('/documents')) {
+        return null;
+      }
+      url += '/batch';
+    }
+    try {
+      const response = await this._signedHttpPost(
+        {url, json, capabilityAction});
+      return response.data.results;
+    } catch(e) {
+      if(BATCH_UNSUPPORTED_STATUSES.includes(e.status) ||
+        _isValidationError(e)) {
+        return null;
+      }
+      throw e;
+    }
+  }
+
   // helper that gets a document URL from a document ID
   _getDocUrl(id, capability) {
     if(!this.edvId) {
@@ -401,6 +557,49 @@ export class HttpsTransport {
   }
 }
 
+// calls `fn` with the index of each ID in turn, resolving to `{id, ...}` with
+// what `fn` resolves to or `{id, error}` if it rejects
+async function _mapInTurn({ids, fn}) {
+  const results = [];
+  for(const [i, id] of ids.entries()) {
+    try {
+      results.push({id, ...await fn(i)});
+    } catch(error) {
+      results.push({id, error});
+    }
+  }
+  return results;
+}
+
+// converts the `{status, document?}` result of one operation in a batch into
+// `{id, encrypted?}` or `{id, error}`, normalizing errors as is done for
+// single operations
+function _toBatchResult({id, result, conflictName}) {
+  const {status, document} = result || {};
+  if(status >= 200 && status < 300) {
+    return document === undefined ? {id} : {id, encrypted: document};
+  }
+  let error;
+  if(status === 404) {
+    error = new Error('Document not found.');
+    error.name = 'NotFoundError';
+  } else if(status === 409 && conflictName) {
+    error = new Error(conflictName === 'DuplicateError' ?
+      'Duplicate error.' : 'Conflict error.');
+    error.name = conflictName;
+  } else {
+    error = new Error(`Batch operation failed with status "${status}".`);
+  }
+  error.status = status;
+  return {id, error};
+}
+
+// returns `true` if the EDV server rejected a request as failing validation
+function _isValidationError(e) {
+  const name = e.data?.name ?? e.data?.type;
+  return e.status === 400 && name === 'ValidationError';
+}
+
 function _createAbsoluteUrl(url) {
   if(url.includes(':')) {
     return url;
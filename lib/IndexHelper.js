@@ -1,28 +1,53 @@
 /*!
  * Copyright (c) 2019-2023 Digital Bazaar, Inc. All rights reserved.
  */
-import * as base64url from 'base64url-universal';
+import {
+  assertBounds, getBucket, getBuckets, inRange, normalizeRangeIndex
+} from './range.js';
+import {assertIndexed, assertQuery, planQuery} from './plan.js';
+import {
+  assertIndexLimits, countEntryAttributes, normalizeIndexLimits
+} from './limits.js';
+import {
+  getPrefixes, getQueryPrefix, hasPrefix, normalizePrefixIndex
+} from './prefix.js';
+import {normalizeTextQuery, scoreText, tokenize} from './text.js';
 import canonicalize from 'canonicalize';
-import {LruCache} from '@digitalbazaar/lru-memoize';
+import {compileQueryTree} from './queryTree.js';
+import {createNormalizer} from './normalize.js';
+import {explainQuery} from './explain.js';
 import {sha256} from './util.js';
+import {SignatureCache} from './SignatureCache.js';
 import split from 'split-string';
 
 const ATTRIBUTE_PREFIXES = ['content', 'meta'];
+// maximum number of `equals` filters a range, prefix, or text query may
+// expand into
+const MAX_QUERY_FILTERS = 1000;
 
 export class IndexHelper {
   /**
    * Creates a new IndexHelper instance that can be used to blind EDV
    * document attributes to enable indexing.
    *
+   * @param {object} [options] - The options to use.
+   * @param {object} [options.cache] - Options for the cache of blinded
+   *   values: `{max, ttl, store}`; see `SignatureCache`.
+   * @param {object} [options.indexLimits] - Limits on the size of index
+   *   entries: `{maxEntryAttributes, maxAttributeValues}`.
+   *
    * @returns {IndexHelper} An IndexHelper instance.
    */
-  constructor() {
+  constructor({cache, indexLimits} = {}) {
     this.indexes = new Map();
     this.compoundIndexes = new Map();
-    this._cache = new LruCache({
-      // each entry size ~64 bytes, 1000 entries ~= 64KiB
-      max: 1000
-    });
+    this.normalizers = new Map();
+    this.extractors = new Map();
+    this.rangeIndexes = new Map();
+    this.prefixIndexes = new Map();
+    this.textIndexes = new Set();
+    this.indexLimits = normalizeIndexLimits(indexLimits);
+    this._cache = new SignatureCache(cache);
   }
 
   /**
@@ -38,15 +63,76 @@ export class IndexHelper {
    * a prefix of a compound index. However, uniqueness will not be enforced
    * unless all attributes in the compound index are present in a document.
    *
+   * Values may be normalized before they are blinded via the `normalize`
+   * option, e.g., to make a unique index on email addresses
+   * case-insensitive. The same normalization is applied to documents and
+   * queries. Normalization applies to an attribute, not an index, so it
+   * affects every index that includes the attribute.
+   *
+   * A simple index may also be computed from a document via an `extract`
+   * function rather than read from the path given by its attribute name,
+   * e.g., to index the domain of an email address. The attribute name must
+   * still be a valid name (e.g., "meta.emailDomain") and can then be used in
+   * queries and compound indexes like any other attribute.
+   *
+   * A simple index may also be a range index, enabling `range` queries. Each
+   * value of a range-indexed attribute is placed into a bucket (e.g., the
+   * day a date falls on or the interval of width `granularity` a number falls
+   * in) and the bucket is blinded as an additional attribute. Range queries
+   * match every bucket that covers the queried range and the results must
+   * then be filtered using the decrypted documents to remove false positives.
+   * Coarser buckets reveal less about the values to the EDV server but
+   * produce more false positives.
+   *
+   * A simple index may also be a prefix index, enabling `startsWith` queries.
+   * Every prefix of a (normalized) string value from `min` to `max`
+   * characters long is blinded as an additional attribute. This reveals to
+   * the EDV server which documents share prefixes and hints at the lengths
+   * of short values.
+   *
+   * A simple index may also be a text index, enabling `text` queries. Every
+   * (normalized) word in a string value is blinded as an additional
+   * attribute. This reveals to the EDV server which documents share words,
+   * but not the words themselves.
+   *
    * @param {object} options - The options to use.
    * @param {string|string[]} options.attribute - The attribute name or an
    *   array of attribute names to create a unique compound index.
+   * @param {string} [options.name] - An alias for `attribute` when giving
+   *   an `extract` function.
    * @param {boolean} [options.unique=false] - Set to `true` if the index
    *   should be considered unique, `false` if not.
+   * @param {string|Function|Array} [options.normalize] - A built-in
+   *   normalizer ("lowercase", "nfc", or "trim"), a function that takes a
+   *   value and returns its normalized value, or an array of these to apply
+   *   in order to each attribute's values.
+   * @param {Function} [options.extract] - A function that takes a document
+   *   and returns the value (or an array of values) to index for a simple
+   *   index or `undefined` if the document has no value.
+   * @param {object} [options.range] - Set to make a simple index also a range
+   *   index: `{type: 'date', granularity}` where `granularity` is one of
+   *   "year", "month", "day" (the default), "hour", or "minute";
+   *   `{type: 'number', granularity}` where `granularity` is the width of
+   *   each bucket; or `{type: 'number', buckets}` where `buckets` is an
+   *   array of increasing bucket boundaries.
+   * @param {object} [options.prefix] - Set to make a simple index also a
+   *   prefix index: `{min, max}` where `min` (default `1`) and `max` are the
+   *   shortest and longest prefixes to index.
+   * @param {boolean} [options.text=false] - Set to `true` to make a simple
+   *   index also a text index.
    * @param {object} [options.hmac] - An optional HMAC API with `id`, `sign`,
    *   and `verify` properties for prewarming caches.
    */
-  ensureIndex({attribute, unique = false, hmac} = {}) {
+  ensureIndex({
+    attribute, name, unique = false, normalize, extract, range, prefix,
+    text = false, hmac
+  } = {}) {
+    if(name !== undefined) {
+      if(attribute !== undefined) {
+        throw new TypeError('Only one of "attribute" or "name" may be given.');
+      }
+      attribute = name;
+    }
     let attributes = attribute;
     if(!Array.isArray(attribute)) {
       attributes = [attribute];
@@ -57,6 +143,62 @@ export class IndexHelper {
         '"attribute" must be a string or an array of strings.');
     }
 
+    // validate every option before changing any index so that an invalid
+    // option leaves the declared indexes unchanged
+    if(extract !== undefined) {
+      if(typeof extract !== 'function') {
+        throw new TypeError('"extract" must be a function.');
+      }
+      if(attributes.length !== 1) {
+        throw new TypeError('"extract" is only supported for simple indexes.');
+      }
+      // ensure the name is valid
+      this._parseAttribute(attributes[0]);
+    }
+    let normalizer;
+    if(normalize !== undefined) {
+      normalizer = createNormalizer(normalize);
+    }
+    if(range !== undefined) {
+      if(attributes.length !== 1) {
+        throw new TypeError('"range" is only supported for simple indexes.');
+      }
+      range = normalizeRangeIndex(range);
+    }
+    if(prefix !== undefined) {
+      if(attributes.length !== 1) {
+        throw new TypeError('"prefix" is only supported for simple indexes.');
+      }
+      prefix = normalizePrefixIndex(prefix);
+    }
+    if(typeof text !== 'boolean') {
+      throw new TypeError('"text" must be a boolean.');
+    }
+    if(text && attributes.length !== 1) {
+      throw new TypeError('"text" is only supported for simple indexes.');
+    }
+    if(hmac) {
+      _assertHmac(hmac);
+    }
+
+    if(extract !== undefined) {
+      this.extractors.set(attributes[0], extract);
+    }
+    if(normalizer) {
+      for(const attribute of attributes) {
+        this.normalizers.set(attribute, {normalize, normalizer});
+      }
+    }
+    if(range !== undefined) {
+      this.rangeIndexes.set(attributes[0], range);
+    }
+    if(prefix !== undefined) {
+      this.prefixIndexes.set(attributes[0], prefix);
+    }
+    if(text) {
+      this.textIndexes.add(attributes[0]);
+    }
+
     if(attributes.length === 1) {
       // add simple index
       this.indexes.set(attributes[0], unique);
@@ -67,7 +209,6 @@ export class IndexHelper {
     }
 
     if(hmac) {
-      _assertHmac(hmac);
       // ignore errors during prewarm; they are not fatal
       this._prewarmCache({attributes, hmac}).catch(() => {});
     }
@@ -98,6 +239,30 @@ export class IndexHelper {
     return entry;
   }
 
+  /**
+   * Counts the blinded attributes that an index entry for the given document
+   * would have, without performing any HMAC operations. This can be used to
+   * check documents against the `indexLimits` before writing them.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.doc - The document to count blinded attributes
+   *   for.
+   *
+   * @returns {object} - An object `{count, indexes}` where `count` is the total
+   *   number of blinded attributes and `indexes` is an array of
+   *   `{attributes, count}` with the number of blinded attributes for each
+   *   matching index, including any range, prefix, or text attributes.
+   */
+  estimateEntrySize({doc} = {}) {
+    if(!(doc && typeof doc === 'object')) {
+      throw new TypeError('"doc" must be an object.');
+    }
+    const {simpleMatches, compoundMatches, attributeValues} =
+      this._getMatchingIndexes({doc});
+    return this._countEntryAttributes(
+      {doc, simpleMatches, compoundMatches, attributeValues});
+  }
+
   /**
    * Returns a shallow copy of the array of indexed entries for the given
    * document where any existing entry matching the HMAC associated with this
@@ -142,7 +307,8 @@ export class IndexHelper {
   }
 
   /**
-   * Builds a query that can be submitted to an EDV index service.
+   * Builds a query that can be submitted to an EDV index service. If both
+   * `equals` and `has` are given, matching documents must satisfy both.
    *
    * @param {object} options - The options to use.
    * @param {object} options.hmac - An HMAC API with `id`, `sign`, and `verify`
@@ -151,37 +317,53 @@ export class IndexHelper {
    *   attribute pairs to match or an array of such objects.
    * @param {string|Array} [options.has] - A string with an attribute name to
    *   match or an array of such strings.
+   * @param {object} [options.range] - An object with attribute names as keys
+   *   and bounds `{gt, gte, lt, lte}` as values; each attribute must have a
+   *   range index. Any matching documents must still be filtered using the
+   *   function returned from `createFilter()` to remove false positives.
+   * @param {object} [options.startsWith] - An object with attribute names as
+   *   keys and strings that their values must start with as values; each
+   *   attribute must have a prefix index. Matching is case-insensitive.
+   *   Any matching documents must still be filtered using the function
+   *   returned from `createFilter()` to remove false positives.
+   * @param {string|object} [options.text] - A string of words to search
+   *   text-indexed attributes for or an object `{query, operator,
+   *   attributes}` where `operator` is "and" (the default) to match
+   *   documents with every word or "or" to match documents with any word
+   *   and `attributes` defaults to every text-indexed attribute. Any matching
+   *   documents must still be filtered using the function returned from
+   *   `createFilter()` and may be ranked using `createRanking()`.
+   * @param {boolean} [options.strict=false] - Set to `true` to throw an error
+   *   if any attribute in `equals` or `has` has not been declared in any
+   *   index via `ensureIndex()`; otherwise such attributes are ignored.
    *
    * @returns {Promise<object>} - Resolves to the built query.
    */
-  async buildQuery({hmac, equals, has}) {
+  async buildQuery({
+    hmac, equals, has, range, startsWith, text, strict = false
+  }) {
     _assertHmac(hmac);
 
     // validate params
-    if(equals === undefined && has === undefined) {
-      throw new Error('Either "equals" or "has" must be defined.');
+    if(equals === undefined && has === undefined && range === undefined &&
+      startsWith === undefined && text === undefined) {
+      throw new Error(
+        'Either "equals", "has", "range", "startsWith", or "text" must be ' +
+        'defined.');
     }
-    if(equals !== undefined && has !== undefined) {
-      throw new Error('Only one of "equals" or "has" may be defined at once.');
+    assertQuery({equals, has});
+    if(range !== undefined) {
+      this._assertRangeQuery({range});
     }
-    if(equals !== undefined) {
-      if(Array.isArray(equals)) {
-        if(!equals.every(x => (x && typeof x === 'object'))) {
-          throw new TypeError('"equals" must be an array of objects.');
-        }
-      } else if(!(equals && typeof equals === 'object')) {
-        throw new TypeError(
-          '"equals" must be an object or an array of objects.');
-      }
+    if(startsWith !== undefined) {
+      this._assertPrefixQuery({startsWith});
     }
-    if(has !== undefined) {
-      if(Array.isArray(has)) {
-        if(!has.every(x => (x && typeof x === 'string'))) {
-          throw new TypeError('"has" must be an array of strings.');
-        }
-      } else if(typeof has !== 'string') {
-        throw new TypeError('"has" must be a string or an array of strings.');
-      }
+    if(text !== undefined) {
+      text = this._normalizeTextQuery({text});
+    }
+
+    if(strict) {
+      assertIndexed({helper: this, equals, has});
     }
 
     const query = {
@@ -202,7 +384,8 @@ export class IndexHelper {
         }
         return result;
       }));
-    } else if(has !== undefined) {
+    }
+    if(has !== undefined) {
       // normalize to array
       if(!Array.isArray(has)) {
         has = [has];
@@ -211,55 +394,231 @@ export class IndexHelper {
       query.has = (await this._buildBlindAttributes({hmac, has}))
         .map(({name}) => name);
     }
+    // a document must match one of the alternative derived attributes for
+    // every term, so combine every `equals` filter with every alternative
+    const terms = [];
+    if(range !== undefined) {
+      for(const [attribute, bounds] of Object.entries(range)) {
+        const config = this.rangeIndexes.get(attribute);
+        const name = _getDerivedAttributeName({attribute, range: config});
+        const buckets = getBuckets(
+          {attribute, range: config, bounds, max: MAX_QUERY_FILTERS});
+        terms.push(buckets.map(value => ({name, value})));
+      }
+    }
+    if(startsWith !== undefined) {
+      for(const [attribute, value] of Object.entries(startsWith)) {
+        const config = this.prefixIndexes.get(attribute);
+        terms.push([{
+          name: _getDerivedAttributeName({attribute, prefix: config}),
+          value: getQueryPrefix({attribute, prefix: config, value})
+        }]);
+      }
+    }
+    if(text !== undefined) {
+      // the server matches any word in any attribute; the "and" operator is
+      // applied by filtering the decrypted results
+      const alternatives = [];
+      for(const attribute of text.attributes) {
+        const name = _getDerivedAttributeName({attribute, text: true});
+        alternatives.push(...text.tokens.map(value => ({name, value})));
+      }
+      terms.push(alternatives);
+    }
+    if(terms.length > 0) {
+      query.equals = await this._addDerivedFilters(
+        {hmac, terms, equals: query.equals});
+    }
     return query;
   }
 
   /**
-   * Blinds a Uint8Array of bytes using the given HMAC API.
+   * Creates a function that can be used to remove false positives from the
+   * (decrypted) documents matched by a query built via `buildQuery()`. Range
+   * queries, for example, match entire buckets of values and their results
+   * must be filtered.
    *
-   * @param {object} hmac - An HMAC API with `id`, `sign`, and `verify`
-   *   properties.
-   * @param {Uint8Array} data - The value to blind.
+   * @param {object} options - The options to use.
+   * @param {object} [options.range] - The range query given to
+   *   `buildQuery()`.
+   * @param {object} [options.startsWith] - The prefix query given to
+   *   `buildQuery()`.
+   * @param {string|object} [options.text] - The text query given to
+   *   `buildQuery()`.
    *
-   * @returns {Promise<string>} - Resolves to the blinded value.
+   * @returns {Function|undefined} - A function that returns `true` if a
+   *   given document matches the query or `undefined` if no filter is needed.
    */
-  async _blindData(hmac, data) {
-    // convert value to Uint8Array and hash it
-    const signature = await this._cachedHmac({hmac, data});
-    if(typeof signature === 'string') {
-      // presume base64url-encoded
-      return signature;
+  createFilter({range, startsWith, text} = {}) {
+    const filters = [];
+    if(range !== undefined) {
+      this._assertRangeQuery({range});
+      for(const [attribute, bounds] of Object.entries(range)) {
+        const config = this.rangeIndexes.get(attribute);
+        filters.push(doc => this._getValues({attribute, doc}).some(
+          value => inRange({range: config, bounds, value})));
+      }
     }
-    // base64url-encode Uint8Array signature
-    return base64url.encode(signature);
+    if(startsWith !== undefined) {
+      this._assertPrefixQuery({startsWith});
+      for(const [attribute, prefix] of Object.entries(startsWith)) {
+        filters.push(doc => this._getValues({attribute, doc}).some(
+          value => hasPrefix({value, startsWith: prefix})));
+      }
+    }
+    if(text !== undefined) {
+      const score = this.createRanking({text});
+      filters.push(doc => score(doc) > 0);
+    }
+    if(filters.length === 0) {
+      return;
+    }
+    return doc => filters.every(filter => filter(doc));
   }
 
   /**
-   * Blinds a hashed attribute (compound or simple) using the given HMAC API.
+   * Creates a function that scores how well a (decrypted) document matches
+   * a text query; documents with higher scores are better matches. The score
+   * is the number of occurrences of the query's words in the document's
+   * text-indexed attributes.
+   *
+   * @param {object} options - The options to use.
+   * @param {string|object} [options.text] - The text query given to
+   *   `buildQuery()`.
+   *
+   * @returns {Function|undefined} - A function that returns a score for a
+   *   given document or `undefined` if there is no text query.
+   */
+  createRanking({text} = {}) {
+    if(text === undefined) {
+      return;
+    }
+    text = this._normalizeTextQuery({text});
+    return doc => scoreText({
+      text,
+      values: text.attributes.flatMap(
+        attribute => this._getValues({attribute, doc}))
+    });
+  }
+
+  /**
+   * Gets statistics about how often cached blinded values have been used.
+   *
+   * @returns {object} - An object `{hits, misses}`.
+   */
+  getCacheStats() {
+    return this._cache.getStats();
+  }
+
+  /**
+   * Removes cached blinded values, e.g., when an HMAC key has been revoked.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.hmacId] - The ID of the HMAC whose blinded values
+   *   should be removed; by default, every blinded value is removed.
+   *
+   * @returns {Promise} - Resolves once the operation completes.
+   */
+  async clearCache({hmacId} = {}) {
+    return this._cache.clear({hmacId});
+  }
+
+  /**
+   * Reports which indexes will be used to serve each attribute in the given
+   * `equals` or `has` query. No HMAC operations are performed and nothing is
+   * sent to the EDV server.
+   *
+   * Each term in the plan lists the indexes that will serve an attribute;
+   * an attribute with no indexes (e.g., one that is not the first attribute
+   * in a compound index and has no simple index) will not be used to match
+   * documents. Any attribute that has not been declared in any index is also
+   * listed in `unindexed`.
+   *
+   * @param {object} options - The options to use.
+   * @param {object|Array} [options.equals] - An object with key-value
+   *   attribute pairs to match or an array of such objects.
+   * @param {string|Array} [options.has] - A string with an attribute name to
+   *   match or an array of such strings.
+   *
+   * @returns {object} - The query plan: `{equals?: [{terms, unindexed}],
+   *   has?: {terms, unindexed}}`, where `terms` is an array of
+   *   `{attribute, indexes: [{attributes, unique}]}`.
+   */
+  planQuery({equals, has} = {}) {
+    return planQuery({helper: this, equals, has});
+  }
+
+  /**
+   * Explains the blinded terms that `buildQuery()` will build for the given
+   * `equals` or `has` query using the plaintext attributes and values behind
+   * each term. No HMAC operations are performed and nothing is sent to the
+   * EDV server.
+   *
+   * @see explainQuery - For a description of the explanation.
+   *
+   * @param {object} options - The options to use.
+   * @param {object|Array} [options.equals] - An object with key-value
+   *   attribute pairs to match or an array of such objects.
+   * @param {string|Array} [options.has] - A string with an attribute name to
+   *   match or an array of such strings.
+   *
+   * @returns {object} - The explanation: `{equals?: [{terms}], has?: {terms},
+   *   warnings}`.
+   */
+  explainQuery({equals, has} = {}) {
+    return explainQuery({helper: this, equals, has});
+  }
+
+  /**
+   * Compiles a boolean query tree of `and`, `or`, `equals`, and `has` nodes
+   * into the filters that can be given to `buildQuery()`. A document matches
+   * the tree if it matches every filter in any one of the returned arrays.
+   *
+   * @see compileQueryTree - For a description of query trees.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.query - The root node of the query tree.
+   *
+   * @returns {Array<Array<object>>} - The filters: an array of arrays of
+   *   `{equals?, has?}`.
+   */
+  compileQuery({query} = {}) {
+    return compileQueryTree(query);
+  }
+
+  /**
+   * Blinds hashed attributes (compound or simple) using the given HMAC API.
+   * Every name and value that is not already cached is signed in a single
+   * batch.
    *
    * @param {object} options - The options to use.
    * @param {object} options.hmac - An HMAC API with `id`, `sign`, and `verify`
-   *   properties.
-   * @param {object} options.hashedAttribute - The attribute with `name`,
-   *   `value`, and optional `unique` property; `name` and `value` MUST be
-   *   Uint8Arrays.
+   *   properties and an optional `signMany` function.
+   * @param {Array} options.hashedAttributes - The attributes, each with
+   *   `name`, `value`, and optional `unique` property; `name` and `value` MUST
+   *   be Uint8Arrays.
    *
-   * @returns {Promise<object>} - Resolves to an object
+   * @returns {Promise<Array>} - Resolves to an array of objects
    *   `{name, value, unique?}`.
    */
-  async _blindHashedAttribute({hmac, hashedAttribute}) {
+  async _blindHashedAttributes({hmac, hashedAttributes}) {
     // salt values with key to prevent cross-key leakage
-    const saltedValue = await sha256(
-      _joinHashes([hashedAttribute.name, hashedAttribute.value]));
-    const [name, value] = await Promise.all([
-      this._blindData(hmac, hashedAttribute.name),
-      this._blindData(hmac, saltedValue)
-    ]);
-    const blindAttribute = {name, value};
-    if(hashedAttribute.unique) {
-      blindAttribute.unique = true;
-    }
-    return blindAttribute;
+    const saltedValues = await Promise.all(hashedAttributes.map(
+      ({name, value}) => sha256(_joinHashes([name, value]))));
+    const signatures = await this._cache.signMany({
+      hmac,
+      data: hashedAttributes.flatMap(({name}, i) => [name, saltedValues[i]])
+    });
+    return hashedAttributes.map(({unique}, i) => {
+      const blindAttribute = {
+        name: signatures[i * 2],
+        value: signatures[i * 2 + 1]
+      };
+      if(unique) {
+        blindAttribute.unique = true;
+      }
+      return blindAttribute;
+    });
   }
 
   async _buildBlindAttributes({hmac, doc, equal, has}) {
@@ -269,6 +628,16 @@ export class IndexHelper {
     const {simpleMatches, compoundMatches, attributeValues} =
       this._getMatchingIndexes({doc, equal, has});
 
+    // ensure the entry for a document will not be too large before blinding
+    if(doc) {
+      assertIndexLimits({
+        limits: this.indexLimits,
+        size: this._countEntryAttributes(
+          {doc, simpleMatches, compoundMatches, attributeValues}),
+        attributeValues
+      });
+    }
+
     // compute and store all hashed attributes in parallel
     const hashedAttributeMap = new Map();
     const hashPromises = [];
@@ -357,9 +726,72 @@ export class IndexHelper {
     }
     hashedAttributes.push(...await Promise.all(compoundPromises));
 
+    // add any hashed attributes derived from the document's values
+    if(doc) {
+      hashedAttributes.push(...await this._hashDerivedAttributes({doc}));
+    }
+
     // blind all hashed attributes and return them
-    return Promise.all(hashedAttributes.map(async hashedAttribute =>
-      this._blindHashedAttribute({hmac, hashedAttribute})));
+    return this._blindHashedAttributes({hmac, hashedAttributes});
+  }
+
+  // adds a blinded `{name: value}` alternative for each term to every
+  // `equals` filter, producing one filter for every combination
+  async _addDerivedFilters({hmac, terms, equals = [{}]}) {
+    for(const alternatives of terms) {
+      if(equals.length * alternatives.length > MAX_QUERY_FILTERS) {
+        throw new Error(
+          `Query is too broad; it would require more than ` +
+          `${MAX_QUERY_FILTERS} "equals" filters.`);
+      }
+      const hashedAttributes = await Promise.all(alternatives.map(
+        ({name, value}) => this._hashAttribute({name, value})));
+      const blinded = await this._blindHashedAttributes(
+        {hmac, hashedAttributes});
+      const next = [];
+      for(const equal of equals) {
+        for(const {name, value} of blinded) {
+          next.push({...equal, [name]: value});
+        }
+      }
+      equals = next;
+    }
+    return equals;
+  }
+
+  _assertRangeQuery({range}) {
+    if(!(range && typeof range === 'object' && !Array.isArray(range))) {
+      throw new TypeError('"range" must be an object.');
+    }
+    for(const [attribute, bounds] of Object.entries(range)) {
+      const config = this.rangeIndexes.get(attribute);
+      if(!config) {
+        throw new Error(
+          `Range query attribute "${attribute}" does not have a range ` +
+          'index; call "ensureIndex()" with a "range" option first.');
+      }
+      assertBounds({attribute, range: config, bounds});
+    }
+  }
+
+  _assertPrefixQuery({startsWith}) {
+    if(!(startsWith && typeof startsWith === 'object' &&
+      !Array.isArray(startsWith))) {
+      throw new TypeError('"startsWith" must be an object.');
+    }
+    for(const [attribute, value] of Object.entries(startsWith)) {
+      const config = this.prefixIndexes.get(attribute);
+      if(!config) {
+        throw new Error(
+          `"startsWith" attribute "${attribute}" does not have a prefix ` +
+          'index; call "ensureIndex()" with a "prefix" option first.');
+      }
+      getQueryPrefix({attribute, prefix: config, value});
+    }
+  }
+
+  _normalizeTextQuery({text}) {
+    return normalizeTextQuery({text, textAttributes: [...this.textIndexes]});
   }
 
   _getMatchingIndexes({doc, equal, has} = {}) {
@@ -378,7 +810,8 @@ export class IndexHelper {
       if(equal) {
         attributes = Object.keys(equal);
         for(const [name, value] of Object.entries(equal)) {
-          attributeValues.set(name, new Set([value]));
+          attributeValues.set(
+            name, new Set([this._normalizeValue({attribute: name, value})]));
         }
       } else {
         attributes = has;
@@ -470,6 +903,72 @@ export class IndexHelper {
     return {simpleMatches, compoundMatches};
   }
 
+  async _hashDerivedAttributes({doc}) {
+    return Promise.all(this._getDerivedAttributes({doc}).map(
+      ({name, value}) => this._hashAttribute({name, value})));
+  }
+
+  // gets every attribute derived from the document's values (e.g., range
+  // buckets) as `{attribute, name, value}`
+  _getDerivedAttributes({doc}) {
+    const derived = [];
+    for(const [attribute, range] of this.rangeIndexes) {
+      const name = _getDerivedAttributeName({attribute, range});
+      const buckets = new Set(this._getValues({attribute, doc})
+        .map(value => getBucket({range, value}))
+        .filter(bucket => bucket !== undefined));
+      for(const value of buckets) {
+        derived.push({attribute, name, value});
+      }
+    }
+    for(const [attribute, prefix] of this.prefixIndexes) {
+      const name = _getDerivedAttributeName({attribute, prefix});
+      const prefixes = new Set(this._getValues({attribute, doc})
+        .flatMap(value => getPrefixes({prefix, value})));
+      for(const value of prefixes) {
+        derived.push({attribute, name, value});
+      }
+    }
+    for(const attribute of this.textIndexes) {
+      const name = _getDerivedAttributeName({attribute, text: true});
+      const tokens = new Set(this._getValues({attribute, doc})
+        .flatMap(value => tokenize(value)));
+      for(const value of tokens) {
+        derived.push({attribute, name, value});
+      }
+    }
+    return derived;
+  }
+
+  // counts the blinded attributes in the entry for a document, adding any
+  // derived attributes to the count for the attribute's simple index
+  _countEntryAttributes({
+    doc, simpleMatches, compoundMatches, attributeValues
+  }) {
+    const size = countEntryAttributes(
+      {simpleMatches, compoundMatches, attributeValues});
+    for(const {attribute} of this._getDerivedAttributes({doc})) {
+      const index = size.indexes.find(({attributes}) =>
+        attributes.length === 1 && attributes[0] === attribute);
+      if(index) {
+        index.count++;
+      } else {
+        size.indexes.push({attributes: [attribute], count: 1});
+      }
+      size.count++;
+    }
+    return size;
+  }
+
+  // gets every value for an attribute in a document as an array
+  _getValues({attribute, doc}) {
+    const value = this._dereferenceAttribute({attribute, doc});
+    if(value === undefined) {
+      return [];
+    }
+    return Array.isArray(value) ? value : [value];
+  }
+
   _matchDocument({attribute, attributeValues, doc}) {
     // get attribute value from document
     const value = this._dereferenceAttribute({attribute, doc});
@@ -484,15 +983,19 @@ export class IndexHelper {
     }
 
     // add each value in an array as a separate attribute value
-    if(Array.isArray(value)) {
-      value.forEach(valueSet.add, valueSet);
-    } else {
-      valueSet.add(value);
+    const values = Array.isArray(value) ? value : [value];
+    for(const v of values) {
+      valueSet.add(this._normalizeValue({attribute, value: v}));
     }
 
     return true;
   }
 
+  _normalizeValue({attribute, value}) {
+    const entry = this.normalizers.get(attribute);
+    return entry ? entry.normalizer(value) : value;
+  }
+
   _parseAttribute(attribute) {
     const keys = split(attribute);
     if(keys.length === 0) {
@@ -510,6 +1013,13 @@ export class IndexHelper {
   }
 
   _dereferenceAttribute({attribute, keys, doc}) {
+    if(!keys) {
+      const extract = this.extractors.get(attribute);
+      if(extract) {
+        const value = extract(doc);
+        return value === null ? undefined : value;
+      }
+    }
     keys = keys || this._parseAttribute(attribute);
     let value = doc;
     while(keys.length > 0) {
@@ -529,23 +1039,23 @@ export class IndexHelper {
   }
 
   async _prewarmCache({attributes, hmac}) {
-    const promises = [];
+    const data = [];
     const compound = [];
     for(const [i, name] of attributes.entries()) {
       const hashed = await _hashString(name);
       compound.push(hashed);
-      const data = i === 0 ? hashed : await sha256(_joinHashes(compound));
-      promises.push(this._cachedHmac({hmac, data}));
+      data.push(i === 0 ? hashed : await sha256(_joinHashes(compound)));
     }
-    return Promise.all(promises);
+    return this._cache.signMany({hmac, data});
   }
+}
 
-  async _cachedHmac({hmac, data}) {
-    return this._cache.memoize({
-      key: `${encodeURIComponent(hmac.id)}:${base64url.encode(data)}`,
-      fn: () => hmac.sign({data})
-    });
-  }
+// the name for blinded values derived from an attribute (e.g., range buckets)
+// includes the index options so that changing them produces different blinded
+// attributes; it cannot collide with an attribute name because those must
+// start with a valid prefix
+function _getDerivedAttributeName({attribute, ...options}) {
+  return canonicalize({attribute, ...options});
 }
 
 function _assertHmac(hmac) {
@@ -1,8 +1,15 @@
 /*!
  * Copyright (c) 2019-2023 Digital Bazaar, Inc. All rights reserved.
  */
-import * as base64url from 'base64url-universal';
+import {assertIndexed, assertQuery, planQuery} from './plan.js';
+import {
+  assertIndexLimits, countEntryAttributes, normalizeIndexLimits
+} from './limits.js';
+import {encodeSignature, signMany} from './hmac.js';
 import canonicalize from 'canonicalize';
+import {compileQueryTree} from './queryTree.js';
+import {createNormalizer} from './normalize.js';
+import {explainQuery} from './explain.js';
 import {sha256} from './util.js';
 import split from 'split-string';
 
@@ -16,11 +23,18 @@ export class LegacyIndexHelperVersion1 {
    * This is a legacy version that builds version 1 blinded attributes; it
    * should only be used when migrating old blinded attributes.
    *
+   * @param {object} [options] - The options to use.
+   * @param {object} [options.indexLimits] - Limits on the size of index
+   *   entries: `{maxEntryAttributes, maxAttributeValues}`.
+   *
    * @returns {LegacyIndexHelperVersion1} A LegacyIndexHelperVersion1 instance.
    */
-  constructor() {
+  constructor({indexLimits} = {}) {
+    this.indexLimits = normalizeIndexLimits(indexLimits);
     this.indexes = new Map();
     this.compoundIndexes = new Map();
+    this.normalizers = new Map();
+    this.extractors = new Map();
   }
 
   /**
@@ -36,13 +50,59 @@ export class LegacyIndexHelperVersion1 {
    * a prefix of a compound index. However, uniqueness will not be enforced
    * unless all attributes in the compound index are present in a document.
    *
+   * Values may be normalized before they are blinded via the `normalize`
+   * option, e.g., to make a unique index on email addresses
+   * case-insensitive. The same normalization is applied to documents and
+   * queries. Normalization applies to an attribute, not an index, so it
+   * affects every index that includes the attribute.
+   *
+   * A simple index may also be computed from a document via an `extract`
+   * function rather than read from the path given by its attribute name,
+   * e.g., to index the domain of an email address. The attribute name must
+   * still be a valid name (e.g., "meta.emailDomain") and can then be used in
+   * queries and compound indexes like any other attribute.
+   *
    * @param {object} options - The options to use.
    * @param {string|string[]} options.attribute - The attribute name or an
    *   array of attribute names to create a unique compound index.
+   * @param {string} [options.name] - An alias for `attribute` when giving
+   *   an `extract` function.
    * @param {boolean} [options.unique=false] - Set to `true` if the index
    *   should be considered unique, `false` if not.
+   * @param {string|Function|Array} [options.normalize] - A built-in
+   *   normalizer ("lowercase", "nfc", or "trim"), a function that takes a
+   *   value and returns its normalized value, or an array of these to apply
+   *   in order to each attribute's values.
+   * @param {Function} [options.extract] - A function that takes a document
+   *   and returns the value (or an array of values) to index for a simple
+   *   index or `undefined` if the document has no value.
+   * @param {object} [options.range] - Range indexes are not supported by
+   *   version 1 blinded attributes; an error is thrown if given.
+   * @param {object} [options.prefix] - Prefix indexes are not supported by
+   *   version 1 blinded attributes; an error is thrown if given.
+   * @param {boolean} [options.text=false] - Text indexes are not supported
+   *   by version 1 blinded attributes; an error is thrown if `true`.
    */
-  ensureIndex({attribute, unique = false} = {}) {
+  ensureIndex({
+    attribute, name, unique = false, normalize, extract, range, prefix,
+    text = false
+  } = {}) {
+    if(range !== undefined) {
+      throw new Error('Range indexes are not supported by this index helper.');
+    }
+    if(prefix !== undefined) {
+      throw new Error(
+        'Prefix indexes are not supported by this index helper.');
+    }
+    if(text !== false) {
+      throw new Error('Text indexes are not supported by this index helper.');
+    }
+    if(name !== undefined) {
+      if(attribute !== undefined) {
+        throw new TypeError('Only one of "attribute" or "name" may be given.');
+      }
+      attribute = name;
+    }
     let attributes = attribute;
     if(!Array.isArray(attribute)) {
       attributes = [attribute];
@@ -53,6 +113,31 @@ export class LegacyIndexHelperVersion1 {
         '"attribute" must be a string or an array of strings.');
     }
 
+    if(extract !== undefined) {
+      if(typeof extract !== 'function') {
+        throw new TypeError('"extract" must be a function.');
+      }
+      if(attributes.length !== 1) {
+        throw new TypeError('"extract" is only supported for simple indexes.');
+      }
+      // ensure the name is valid
+      this._parseAttribute(attributes[0]);
+    }
+    let normalizer;
+    if(normalize !== undefined) {
+      normalizer = createNormalizer(normalize);
+    }
+
+    // every option is valid, so change the declared indexes
+    if(extract !== undefined) {
+      this.extractors.set(attributes[0], extract);
+    }
+    if(normalizer) {
+      for(const attribute of attributes) {
+        this.normalizers.set(attribute, {normalize, normalizer});
+      }
+    }
+
     if(attributes.length === 1) {
       // add simple index
       this.indexes.set(attributes[0], unique);
@@ -132,7 +217,8 @@ export class LegacyIndexHelperVersion1 {
   }
 
   /**
-   * Builds a query that can be submitted to an EDV index service.
+   * Builds a query that can be submitted to an EDV index service. If both
+   * `equals` and `has` are given, matching documents must satisfy both.
    *
    * @param {object} options - The options to use.
    * @param {object} options.hmac - An HMAC API with `id`, `sign`, and `verify`
@@ -141,37 +227,32 @@ export class LegacyIndexHelperVersion1 {
    *   attribute pairs to match or an array of such objects.
    * @param {string|Array} [options.has] - A string with an attribute name to
    *   match or an array of such strings.
+   * @param {object} [options.range] - Range queries are not supported by
+   *   version 1 blinded attributes; an error is thrown if given.
+   * @param {object} [options.startsWith] - Prefix queries are not supported
+   *   by version 1 blinded attributes; an error is thrown if given.
+   * @param {string|object} [options.text] - Text queries are not supported
+   *   by version 1 blinded attributes; an error is thrown if given.
+   * @param {boolean} [options.strict=false] - Set to `true` to throw an error
+   *   if any attribute in `equals` or `has` has not been declared in any
+   *   index via `ensureIndex()`; otherwise such attributes are ignored.
    *
    * @returns {Promise<object>} - Resolves to the built query.
    */
-  async buildQuery({hmac, equals, has}) {
+  async buildQuery({
+    hmac, equals, has, range, startsWith, text, strict = false
+  }) {
     _assertHmac(hmac);
+    _assertNoDerivedQuery({range, startsWith, text});
 
     // validate params
     if(equals === undefined && has === undefined) {
       throw new Error('Either "equals" or "has" must be defined.');
     }
-    if(equals !== undefined && has !== undefined) {
-      throw new Error('Only one of "equals" or "has" may be defined at once.');
-    }
-    if(equals !== undefined) {
-      if(Array.isArray(equals)) {
-        if(!equals.every(x => (x && typeof x === 'object'))) {
-          throw new TypeError('"equals" must be an array of objects.');
-        }
-      } else if(!(equals && typeof equals === 'object')) {
-        throw new TypeError(
-          '"equals" must be an object or an array of objects.');
-      }
-    }
-    if(has !== undefined) {
-      if(Array.isArray(has)) {
-        if(!has.every(x => (x && typeof x === 'string'))) {
-          throw new TypeError('"has" must be an array of strings.');
-        }
-      } else if(typeof has !== 'string') {
-        throw new TypeError('"has" must be a string or an array of strings.');
-      }
+    assertQuery({equals, has});
+
+    if(strict) {
+      assertIndexed({helper: this, equals, has});
     }
 
     const query = {
@@ -192,7 +273,8 @@ export class LegacyIndexHelperVersion1 {
         }
         return result;
       }));
-    } else if(has !== undefined) {
+    }
+    if(has !== undefined) {
       // normalize to array
       if(!Array.isArray(has)) {
         has = [has];
@@ -205,73 +287,195 @@ export class LegacyIndexHelperVersion1 {
   }
 
   /**
-   * Blinds a single attribute using the given HMAC API.
+   * Creates a function that can be used to remove false positives from the
+   * (decrypted) documents matched by a query built via `buildQuery()`. No
+   * query supported by this index helper produces false positives.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} [options.range] - Range queries are not supported by
+   *   version 1 blinded attributes; an error is thrown if given.
+   * @param {object} [options.startsWith] - Prefix queries are not supported
+   *   by version 1 blinded attributes; an error is thrown if given.
+   * @param {string|object} [options.text] - Text queries are not supported
+   *   by version 1 blinded attributes; an error is thrown if given.
+   *
+   * @returns {undefined} - No filter is needed.
+   */
+  createFilter({range, startsWith, text} = {}) {
+    _assertNoDerivedQuery({range, startsWith, text});
+  }
+
+  /**
+   * Creates a function that scores how well a document matches a text query.
+   *
+   * @param {object} options - The options to use.
+   * @param {string|object} [options.text] - Text queries are not supported
+   *   by version 1 blinded attributes; an error is thrown if given.
+   *
+   * @returns {undefined} - No ranking is needed.
+   */
+  createRanking({text} = {}) {
+    _assertNoDerivedQuery({text});
+  }
+
+  /**
+   * Counts the blinded attributes that an index entry for the given document
+   * would have, without performing any HMAC operations.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.doc - The document to count blinded attributes
+   *   for.
+   *
+   * @returns {object} - An object `{count, indexes}` where `count` is the total
+   *   number of blinded attributes and `indexes` is an array of
+   *   `{attributes, count}` with the number of blinded attributes for each
+   *   matching index.
+   */
+  estimateEntrySize({doc} = {}) {
+    if(!(doc && typeof doc === 'object')) {
+      throw new TypeError('"doc" must be an object.');
+    }
+    return countEntryAttributes(this._getMatchingIndexes({doc}));
+  }
+
+  /**
+   * Gets statistics about how often cached blinded values have been used;
+   * version 1 blinded values are never cached.
+   *
+   * @returns {object} - An object `{hits, misses}`.
+   */
+  getCacheStats() {
+    return {hits: 0, misses: 0};
+  }
+
+  /**
+   * Removes cached blinded values; version 1 blinded values are never
+   * cached.
+   *
+   * @returns {Promise} - Resolves once the operation completes.
+   */
+  async clearCache() {}
+
+  /**
+   * Reports which indexes will be used to serve each attribute in the given
+   * `equals` or `has` query. No HMAC operations are performed and nothing is
+   * sent to the EDV server.
+   *
+   * Each term in the plan lists the indexes that will serve an attribute;
+   * an attribute with no indexes (e.g., one that is not the first attribute
+   * in a compound index and has no simple index) will not be used to match
+   * documents. Any attribute that has not been declared in any index is also
+   * listed in `unindexed`.
+   *
+   * @param {object} options - The options to use.
+   * @param {object|Array} [options.equals] - An object with key-value
+   *   attribute pairs to match or an array of such objects.
+   * @param {string|Array} [options.has] - A string with an attribute name to
+   *   match or an array of such strings.
+   *
+   * @returns {object} - The query plan: `{equals?: [{terms, unindexed}],
+   *   has?: {terms, unindexed}}`, where `terms` is an array of
+   *   `{attribute, indexes: [{attributes, unique}]}`.
+   */
+  planQuery({equals, has} = {}) {
+    return planQuery({helper: this, equals, has});
+  }
+
+  /**
+   * Explains the blinded terms that `buildQuery()` will build for the given
+   * `equals` or `has` query using the plaintext attributes and values behind
+   * each term. No HMAC operations are performed and nothing is sent to the
+   * EDV server.
+   *
+   * @see explainQuery - For a description of the explanation.
+   *
+   * @param {object} options - The options to use.
+   * @param {object|Array} [options.equals] - An object with key-value
+   *   attribute pairs to match or an array of such objects.
+   * @param {string|Array} [options.has] - A string with an attribute name to
+   *   match or an array of such strings.
+   *
+   * @returns {object} - The explanation: `{equals?: [{terms}], has?: {terms},
+   *   warnings}`.
+   */
+  explainQuery({equals, has} = {}) {
+    return explainQuery({helper: this, equals, has});
+  }
+
+  /**
+   * Compiles a boolean query tree of `and`, `or`, `equals`, and `has` nodes
+   * into the filters that can be given to `buildQuery()`. A document matches
+   * the tree if it matches every filter in any one of the returned arrays.
+   *
+   * @see compileQueryTree - For a description of query trees.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.query - The root node of the query tree.
+   *
+   * @returns {Array<Array<object>>} - The filters: an array of arrays of
+   *   `{equals?, has?}`.
+   */
+  compileQuery({query} = {}) {
+    return compileQueryTree(query);
+  }
+
+  /**
+   * Blinds attributes using the given HMAC API; every name and value is
+   * signed in a single batch.
    *
    * @param {object} options - The options to use.
    * @param {object} options.hmac - An HMAC API with `id`, `sign`, and `verify`
-   *   properties.
-   * @param {string} options.key - A key associated with a value.
-   * @param {any} options.value - The value associated with the key for the
-   *   attribute.
+   *   properties and an optional `signMany` function.
+   * @param {Array} options.attributes - The attributes to blind, each with a
+   *   `key` and the `value` associated with the key.
    *
-   * @returns {Promise<object>} - Resolves to an object `{name, value}`.
+   * @returns {Promise<Array>} - Resolves to an array of objects
+   *   `{name, value}`.
    */
-  async _blindAttribute({hmac, key, value}) {
+  async _blindAttributes({hmac, attributes}) {
     // salt values with key to prevent cross-key leakage
-    value = canonicalize({key: value});
-    const [blindedName, blindedValue] = await Promise.all(
-      [this._blindString(hmac, key), this._blindString(hmac, value)]);
-    return {name: blindedName, value: blindedValue};
+    const blinded = await this._blindStrings(hmac, attributes.flatMap(
+      ({key, value}) => [key, canonicalize({key: value})]));
+    return _toPairs(blinded);
   }
 
   /**
-   * Builds a blind compound attribute from an array of blind attributes
-   * via the given HMAC API.
+   * Builds blind compound attributes from arrays of blind attributes via the
+   * given HMAC API; every name and value is signed in a single batch.
    *
    * @param {object} options - The options to use.
    * @param {object} options.hmac - An HMAC API with `id`, `sign`, and `verify`
-   *   properties.
-   * @param {Array} options.blindAttributes - The blind attributes that
-   *   comprise the compound index.
-   * @param {number} [options.length=options.blindAttributes.length] - The
-   *   number of blind attributes to go into the compound attribute
-   *   (<= `blindAttributes.length`).
+   *   properties and an optional `signMany` function.
+   * @param {Array} options.combinations - An array with the blind attributes
+   *   that comprise each compound attribute.
    *
-   * @returns {Promise<string>} - Resolves to the blinded compound attribute.
+   * @returns {Promise<Array>} - Resolves to an array of objects
+   *   `{name, value}`.
    */
-  async _blindCompoundAttribute({
-    hmac, blindAttributes, length = blindAttributes.length
-  }) {
-    const selection = length === blindAttributes.length ?
-      blindAttributes : blindAttributes.slice(0, length);
-    const nameInput = selection.map(x => x.name).join(':');
-    const valueInput = selection.map(x => x.value).join(':');
-    const [name, value] = await Promise.all([
-      this._blindString(hmac, nameInput),
-      this._blindString(hmac, valueInput)
-    ]);
-    return {name, value};
+  async _blindCompoundAttributes({hmac, combinations}) {
+    const blinded = await this._blindStrings(hmac, combinations.flatMap(
+      blindAttributes => [
+        blindAttributes.map(x => x.name).join(':'),
+        blindAttributes.map(x => x.value).join(':')
+      ]));
+    return _toPairs(blinded);
   }
 
   /**
-   * Blinds a string using the given HMAC API.
+   * Blinds strings using the given HMAC API.
    *
    * @param {object} hmac - An HMAC API with `id`, `sign`, and `verify`
-   *   properties.
-   * @param {string} value - The value to blind.
+   *   properties and an optional `signMany` function.
+   * @param {string[]} values - The values to blind.
    *
-   * @returns {Promise<string>} - Resolves to the blinded value.
+   * @returns {Promise<string[]>} - Resolves to the blinded values.
    */
-  async _blindString(hmac, value) {
-    // convert value to Uint8Array and hash it
-    const data = await sha256(new TextEncoder().encode(value));
-    const signature = await hmac.sign({data});
-    if(typeof signature === 'string') {
-      // presume base64url-encoded
-      return signature;
-    }
-    // base64url-encode Uint8Array signature
-    return base64url.encode(signature);
+  async _blindStrings(hmac, values) {
+    // convert values to Uint8Arrays and hash them
+    const data = await Promise.all(values.map(
+      value => sha256(new TextEncoder().encode(value))));
+    const signatures = await signMany({hmac, data});
+    return signatures.map(encodeSignature);
   }
 
   async _buildBlindAttributes({hmac, doc, equal, has}) {
@@ -281,25 +485,32 @@ export class LegacyIndexHelperVersion1 {
     const {simpleMatches, compoundMatches, attributeValues} =
       this._getMatchingIndexes({doc, equal, has});
 
-    // compute and store all blinded attributes in parallel
+    // ensure the entry for a document will not be too large before blinding
+    if(doc) {
+      assertIndexLimits({
+        limits: this.indexLimits,
+        size: countEntryAttributes(
+          {simpleMatches, compoundMatches, attributeValues}),
+        attributeValues
+      });
+    }
+
+    // compute and store all blinded attributes in a single batch
     const blindedAttributes = new Map();
-    const blindPromises = [];
+    const toBlind = [];
     for(const [attribute, valueSet] of attributeValues.entries()) {
       // create a blinded set for each attribute name; it will hold the
       // blinded attribute associated with each attribute+value pair
       const blindedSet = new Set();
       blindedAttributes.set(attribute, blindedSet);
-      for(const v of valueSet) {
-        // use an IIFE to push a promise onto `blindPromises` to await all
-        // promises in parallel and within IIFE add the resolved blinded
-        // attribute to the current attribute's `blindedSet`
-        blindPromises.push((async () => {
-          blindedSet.add(await this._blindAttribute(
-            {hmac, key: attribute, value: v}));
-        })());
+      for(const value of valueSet) {
+        toBlind.push({key: attribute, value, blindedSet});
       }
     }
-    await Promise.all(blindPromises);
+    const blinded = await this._blindAttributes({hmac, attributes: toBlind});
+    for(const [i, {blindedSet}] of toBlind.entries()) {
+      blindedSet.add(blinded[i]);
+    }
 
     // add all matching simple index blinded attributes and track simple
     // attributes to avoid duplicating entries when processing compound
@@ -314,7 +525,7 @@ export class LegacyIndexHelperVersion1 {
     }
 
     // compute and add all matching compound index blinded attributes
-    const compoundPromises = [];
+    const compound = [];
     for(const {attributes, unique} of compoundMatches) {
       /* Note: For each matching index, there are some number of matching
       attributes that need to be combinatorially spread. For example, for this
@@ -353,22 +564,20 @@ export class LegacyIndexHelperVersion1 {
           continue;
         }
 
-        // use an IIFE to push a promise onto `compoundPromises` to await all
-        // promises in parallel and within IIFE return blinded attribute to
-        // add to `entry` below
-        compoundPromises.push((async () => {
-          const attribute = await this._blindCompoundAttribute({
-            hmac, blindAttributes: combination
-          });
-          // an encrypted attribute is only unique for a compound index when
-          // it contains a value for every attribute in the index
-          attribute.unique = unique &&
-            (combination.length === attributes.length);
-          return attribute;
-        })());
+        // an encrypted attribute is only unique for a compound index when
+        // it contains a value for every attribute in the index
+        compound.push({
+          combination,
+          unique: unique && (combination.length === attributes.length)
+        });
       }
     }
-    result.push(...await Promise.all(compoundPromises));
+    const blindedCompound = await this._blindCompoundAttributes({
+      hmac, combinations: compound.map(({combination}) => combination)
+    });
+    for(const [i, attribute] of blindedCompound.entries()) {
+      result.push({...attribute, unique: compound[i].unique});
+    }
 
     return result;
   }
@@ -389,7 +598,8 @@ export class LegacyIndexHelperVersion1 {
       if(equal) {
         attributes = Object.keys(equal);
         for(const [name, value] of Object.entries(equal)) {
-          attributeValues.set(name, new Set([value]));
+          attributeValues.set(
+            name, new Set([this._normalizeValue({attribute: name, value})]));
         }
       } else {
         attributes = has;
@@ -451,15 +661,19 @@ export class LegacyIndexHelperVersion1 {
     }
 
     // add each value in an array as a separate attribute value
-    if(Array.isArray(value)) {
-      value.forEach(valueSet.add, valueSet);
-    } else {
-      valueSet.add(value);
+    const values = Array.isArray(value) ? value : [value];
+    for(const v of values) {
+      valueSet.add(this._normalizeValue({attribute, value: v}));
     }
 
     return true;
   }
 
+  _normalizeValue({attribute, value}) {
+    const entry = this.normalizers.get(attribute);
+    return entry ? entry.normalizer(value) : value;
+  }
+
   _parseAttribute(attribute) {
     const keys = split(attribute);
     if(keys.length === 0) {
@@ -477,6 +691,13 @@ export class LegacyIndexHelperVersion1 {
   }
 
   _dereferenceAttribute({attribute, keys, doc}) {
+    if(!keys) {
+      const extract = this.extractors.get(attribute);
+      if(extract) {
+        const value = extract(doc);
+        return value === null ? undefined : value;
+      }
+    }
     keys = keys || this._parseAttribute(attribute);
     let value = doc;
     while(keys.length > 0) {
@@ -496,6 +717,27 @@ export class LegacyIndexHelperVersion1 {
   }
 }
 
+function _assertNoDerivedQuery({range, startsWith, text}) {
+  if(range !== undefined) {
+    throw new Error('Range queries are not supported by this index helper.');
+  }
+  if(startsWith !== undefined) {
+    throw new Error('Prefix queries are not supported by this index helper.');
+  }
+  if(text !== undefined) {
+    throw new Error('Text queries are not supported by this index helper.');
+  }
+}
+
+// groups a flat array of blinded names and values into `{name, value}` pairs
+function _toPairs(blinded) {
+  const pairs = [];
+  for(let i = 0; i < blinded.length; i += 2) {
+    pairs.push({name: blinded[i], value: blinded[i + 1]});
+  }
+  return pairs;
+}
+
 function _assertHmac(hmac) {
   if(!(hmac && typeof hmac === 'object' && typeof hmac.id === 'string' &&
     typeof hmac.sign === 'function' && typeof hmac.verify === 'function')) {
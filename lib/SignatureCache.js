@@ -0,0 +1,180 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+import {encodeSignature, signMany} from './hmac.js';
+import {LruCache} from '@digitalbazaar/lru-memoize';
+
+// each entry size ~64 bytes, 1000 entries ~= 64KiB
+const DEFAULT_MAX = 1000;
+
+export class SignatureCache {
+  /**
+   * Creates a cache of the HMAC signatures used to blind attributes. Recently
+   * used signatures are kept in memory and, if a `store` is given, every
+   * signature is also saved to it so that it can be reused after a restart,
+   * e.g., via an IndexedDB or file adapter.
+   *
+   * Cache keys are scoped by HMAC ID; a store must only be shared by clients
+   * that trust one another with the blinded values of every HMAC in it.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {number} [options.max=1000] - The maximum number of signatures to
+   *   keep in memory.
+   * @param {number} [options.ttl] - The number of milliseconds that a
+   *   signature may be used for once it has been cached; by default,
+   *   signatures do not expire.
+   * @param {object} [options.store] - A persistent store with `get(key)`,
+   *   `set(key, value)`, `delete(key)`, and `keys()` functions, such as a
+   *   `Map`; each function may return a Promise and `keys()` may return an
+   *   async iterable.
+   *
+   * @returns {SignatureCache} A SignatureCache instance.
+   */
+  constructor({max = DEFAULT_MAX, ttl, store} = {}) {
+    if(!(Number.isSafeInteger(max) && max >= 1)) {
+      throw new TypeError('"max" must be a positive integer.');
+    }
+    if(ttl !== undefined && !(Number.isSafeInteger(ttl) && ttl >= 1)) {
+      throw new TypeError('"ttl" must be a positive integer.');
+    }
+    if(store !== undefined) {
+      if(!(store && ['get', 'set', 'delete', 'keys'].every(
+        f => typeof store[f] === 'function'))) {
+        throw new TypeError(
+          '"store" must be an object with "get", "set", "delete", and ' +
+          '"keys" functions.');
+      }
+    }
+    this.max = max;
+    this.ttl = ttl;
+    this.store = store;
+    this._lru = new LruCache({max, maxAge: ttl});
+    this._stats = {hits: 0, misses: 0};
+  }
+
+  /**
+   * Gets statistics about how often cached signatures have been used.
+   *
+   * @returns {object} - An object `{hits, misses}` with the number of
+   *   signatures that were found in memory or in the store (`hits`) and that
+   *   had to be signed using an HMAC API (`misses`).
+   */
+  getStats() {
+    return {...this._stats};
+  }
+
+  /**
+   * Signs each data item using the given HMAC API, using cached signatures
+   * where possible. Every item that is not cached is signed in a single
+   * batch.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.hmac - An HMAC API with `id`, `sign`, and `verify`
+   *   properties and an optional `signMany` function.
+   * @param {Uint8Array[]} options.data - The data to sign.
+   *
+   * @returns {Promise<string[]>} - Resolves to the base64url-encoded
+   *   signatures, in the same order as `data`.
+   */
+  async signMany({hmac, data}) {
+    const batch = [];
+    let signatures;
+    return Promise.all(data.map(data => {
+      const key = `${encodeURIComponent(hmac.id)}:${base64url.encode(data)}`;
+      let hit = true;
+      // `memoize` calls `fn` synchronously on a cache miss, so every uncached
+      // item is added to `batch` before the batch is signed
+      const promise = this._lru.memoize({
+        key,
+        fn: () => {
+          hit = false;
+          const i = batch.push({key, data}) - 1;
+          signatures = signatures ||
+            Promise.resolve().then(() => this._signBatch({hmac, batch}));
+          return signatures.then(signatures => signatures[i]);
+        }
+      });
+      if(hit) {
+        this._stats.hits++;
+      }
+      return promise;
+    }));
+  }
+
+  /**
+   * Removes cached signatures from memory and from the store, e.g., when an
+   * HMAC key has been revoked.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.hmacId] - The ID of the HMAC whose signatures
+   *   should be removed; by default, every signature is removed.
+   *
+   * @returns {Promise} - Resolves once the operation completes.
+   */
+  async clear({hmacId} = {}) {
+    const prefix = hmacId === undefined ?
+      '' : `${encodeURIComponent(hmacId)}:`;
+    for(const key of this._lru.cache.keys()) {
+      if(key.startsWith(prefix)) {
+        this._lru.delete(key);
+      }
+    }
+    const {store} = this;
+    if(!store) {
+      return;
+    }
+    // collect keys first as some stores may not support deletion while
+    // iterating
+    const keys = [];
+    for await (const key of await store.keys()) {
+      if(key.startsWith(prefix)) {
+        keys.push(key);
+      }
+    }
+    await Promise.all(keys.map(key => store.delete(key)));
+  }
+
+  // signs a batch of uncached items, using any signatures in the store
+  async _signBatch({hmac, batch}) {
+    const stored = await Promise.all(
+      batch.map(({key}) => this._getStored(key)));
+    const unsigned = batch.filter((item, i) => stored[i] === undefined);
+    this._stats.hits += batch.length - unsigned.length;
+    this._stats.misses += unsigned.length;
+    const signatures = (await signMany(
+      {hmac, data: unsigned.map(({data}) => data)})).map(encodeSignature);
+    await Promise.all(unsigned.map(
+      ({key}, i) => this._setStored(key, signatures[i])));
+    let next = 0;
+    return stored.map(signature => signature ?? signatures[next++]);
+  }
+
+  async _getStored(key) {
+    const {store} = this;
+    if(!store) {
+      return undefined;
+    }
+    const record = await store.get(key);
+    if(!record) {
+      return undefined;
+    }
+    if(record.expires !== undefined && record.expires <= Date.now()) {
+      await store.delete(key);
+      return undefined;
+    }
+    return record.signature;
+  }
+
+  async _setStored(key, signature) {
+    const {store} = this;
+    if(!store) {
+      return;
+    }
+    const record = {signature};
+    if(this.ttl !== undefined) {
+      record.expires = Date.now() + this.ttl;
+    }
+    await store.set(key, record);
+  }
+}
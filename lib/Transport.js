@@ -98,6 +98,44 @@ export class Transport {
     _throwNotImplemented();
   }
 
+  /**
+   * Sends many new encrypted documents to an EDV server. A failure to insert
+   * one document does not prevent the others from being inserted.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<object>} options.encrypted - The encrypted documents to
+   *   insert.
+   *
+   * @returns {Promise<Array<object>>} - Resolves to a result for each
+   *   document, in the same order as `encrypted`: `{id}` if the document was
+   *   inserted or `{id, error}` if it was not, where `error` is a
+   *   `DuplicateError` if the server reports that a document with a matching
+   *   ID already exists.
+   */
+  // eslint-disable-next-line no-unused-vars
+  async insertMany({encrypted} = {}) {
+    _throwNotImplemented();
+  }
+
+  /**
+   * Sends many encrypted documents to an EDV server. Any document that does
+   * not already exist will be created. A failure to update one document does
+   * not prevent the others from being updated.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<object>} options.encrypted - The encrypted documents to
+   *   update.
+   *
+   * @returns {Promise<Array<object>>} - Resolves to a result for each
+   *   document, in the same order as `encrypted`: `{id}` if the document was
+   *   updated or `{id, error}` if it was not, where `error` is an
+   *   `InvalidStateError` if the update was rejected because of a conflict.
+   */
+  // eslint-disable-next-line no-unused-vars
+  async updateMany({encrypted} = {}) {
+    _throwNotImplemented();
+  }
+
   /**
    * Sends an update for an index for the given document, without updating the
    * document itself. If the index entry's sequence number does not match the
@@ -118,6 +156,23 @@ export class Transport {
     _throwNotImplemented();
   }
 
+  /**
+   * Removes an index entry from the given document, without updating the
+   * document itself. If `sequence` does not match the document's current
+   * sequence number, removal will be rejected with an `InvalidStateError`.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.docId - The ID of the document.
+   * @param {string} options.hmacId - The ID of the HMAC of the index entry.
+   * @param {number} options.sequence - The document's current sequence number.
+   *
+   * @returns {Promise} - Settles once the operation completes.
+   */
+  // eslint-disable-next-line no-unused-vars
+  async removeIndex({docId, hmacId, sequence} = {}) {
+    _throwNotImplemented();
+  }
+
   /**
    * Gets an encrypted document from an EDV server by its ID.
    *
@@ -131,15 +186,38 @@ export class Transport {
     _throwNotImplemented();
   }
 
+  /**
+   * Gets many encrypted documents from an EDV server by their IDs.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<string>} options.ids - The IDs of the documents to get.
+   *
+   * @returns {Promise<Array<object>>} - Resolves to a result for each ID, in
+   *   the same order as `ids`: `{id, encrypted}` with the encrypted document
+   *   or `{id, error}` if it could not be retrieved, where `error` is a
+   *   `NotFoundError` if the document does not exist.
+   */
+  // eslint-disable-next-line no-unused-vars
+  async getMany({ids} = {}) {
+    _throwNotImplemented();
+  }
+
   /**
    * Sends a query to an EDV server to find encrypted documents based on their
-   * attributes.
+   * attributes. If `query.limit` is set and more results are available, the
+   * result will include `hasMore: true` and an opaque `cursor` that can be
+   * sent as `query.after` to get the next page of results.
+   *
+   * A query may include both `equals` and `has`, in which case matching
+   * documents must satisfy both; if the server does not support this, a
+   * `NotSupportedError` must be thrown.
    *
    * @param {object} options - The options to use.
    * @param {object} options.query - The query to send.
    *
    * @returns {Promise<object>} - Resolves to the matching encrypted documents:
-   *   `{documents: [...]}` or `{count: docCount}` if `query.count === true`.
+   *   `{documents: [...], hasMore?, cursor?}` or `{count: docCount}` if
+   *   `query.count === true`.
    */
   // eslint-disable-next-line no-unused-vars
   async find({query} = {}) {
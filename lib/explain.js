@@ -0,0 +1,130 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Explains, in plaintext, the blinded terms that an index helper will build
+ * for an `equals` or `has` query. No HMAC operations are performed.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.helper - The index helper that will build the
+ *   query.
+ * @param {object|Array} [options.equals] - An object with key-value
+ *   attribute pairs to match or an array of such objects.
+ * @param {string|Array} [options.has] - A string with an attribute name to
+ *   match or an array of such strings.
+ *
+ * @returns {object} - The explanation: `{equals?: [{terms}], has?: {terms},
+ *   warnings}`.
+ */
+export function explainQuery({helper, equals, has}) {
+  const plan = helper.planQuery({equals, has});
+  const explanation = {};
+  const warnings = new Set();
+  if(equals !== undefined) {
+    if(!Array.isArray(equals)) {
+      equals = [equals];
+    }
+    explanation.equals = equals.map((equal, i) => {
+      _addPlanWarnings({plan: plan.equals[i], warnings});
+      return {
+        terms: _getTerms({
+          ...helper._getMatchingIndexes({equal}), withValues: true, warnings
+        })
+      };
+    });
+  }
+  if(has !== undefined) {
+    if(!Array.isArray(has)) {
+      has = [has];
+    }
+    _addPlanWarnings({plan: plan.has, warnings});
+    explanation.has = {
+      terms: _getTerms({...helper._getMatchingIndexes({has}), warnings})
+    };
+  }
+  explanation.warnings = [...warnings];
+  return explanation;
+}
+
+function _addPlanWarnings({plan, warnings}) {
+  for(const attribute of plan.unindexed) {
+    warnings.add(
+      `Attribute "${attribute}" has not been declared in an index and will ` +
+      'not be used to match documents.');
+  }
+  for(const {attribute, indexes} of plan.terms) {
+    if(indexes.length === 0 && !plan.unindexed.includes(attribute)) {
+      warnings.add(
+        `Attribute "${attribute}" is only indexed by compound indexes whose ` +
+        'earlier attributes are not in the query and will not be used to ' +
+        'match documents.');
+    }
+  }
+}
+
+// gets the plaintext terms in the same order the blinded terms are built;
+// see `_buildBlindAttributes()` in the index helpers
+function _getTerms({
+  simpleMatches, compoundMatches, attributeValues, withValues, warnings
+}) {
+  const terms = [];
+  const simpleAttributes = new Set();
+  for(const {attribute, unique} of simpleMatches) {
+    for(const value of attributeValues.get(attribute)) {
+      terms.push(_createTerm({
+        index: [attribute], attributes: [attribute], values: [value],
+        unique, withValues
+      }));
+    }
+    simpleAttributes.add(attribute);
+  }
+  for(const {attributes: index, unique} of compoundMatches) {
+    // every combination of values for consecutive attributes starting with
+    // the first produces a term
+    const attributes = [];
+    let previous = [[]];
+    for(const attribute of index) {
+      const values = attributeValues.get(attribute);
+      if(!values) {
+        break;
+      }
+      attributes.push(attribute);
+      const next = [];
+      for(const value of values) {
+        for(const combination of previous) {
+          next.push([...combination, value]);
+        }
+      }
+      for(const combination of next) {
+        // the simple index already provides a term for the first attribute
+        if(combination.length === 1 && simpleAttributes.has(index[0])) {
+          continue;
+        }
+        terms.push(_createTerm({
+          index, attributes: attributes.slice(), values: combination,
+          unique: unique && combination.length === index.length, withValues
+        }));
+      }
+      previous = next;
+    }
+    if(attributes.length < index.length &&
+      (attributes.length > 1 || !simpleAttributes.has(index[0]))) {
+      warnings.add(
+        `Compound index ${JSON.stringify(index)} is only partially matched ` +
+        `by ${JSON.stringify(attributes)}` +
+        (unique ? '; uniqueness does not apply.' : '.'));
+    }
+  }
+  return terms;
+}
+
+function _createTerm({index, attributes, values, unique, withValues}) {
+  const term = {index: index.slice(), attributes};
+  if(withValues) {
+    term.values = Object.fromEntries(
+      attributes.map((attribute, i) => [attribute, values[i]]));
+  }
+  term.unique = !!unique;
+  return term;
+}
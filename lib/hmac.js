@@ -0,0 +1,51 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+
+/**
+ * Signs every given data item using an HMAC API. If the HMAC API has a
+ * `signMany()` function, it is called once for all of the data, e.g., to
+ * avoid a round trip to a remote KMS for every item; otherwise `sign()` is
+ * called for each item.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.hmac - An HMAC API with `id`, `sign`, and `verify`
+ *   properties and an optional `signMany` function that takes `{data}`, an
+ *   array of Uint8Arrays, and resolves to an array of signatures.
+ * @param {Uint8Array[]} options.data - The data to sign.
+ *
+ * @returns {Promise<Array>} - Resolves to the signatures, in the same order
+ *   as `data`.
+ */
+export async function signMany({hmac, data}) {
+  if(data.length === 0) {
+    return [];
+  }
+  if(typeof hmac.signMany !== 'function') {
+    return Promise.all(data.map(data => hmac.sign({data})));
+  }
+  const signatures = await hmac.signMany({data});
+  if(!(Array.isArray(signatures) && signatures.length === data.length)) {
+    throw new Error(
+      '"hmac.signMany()" must resolve to an array with one signature for ' +
+      'each data item.');
+  }
+  return signatures;
+}
+
+/**
+ * Encodes an HMAC signature as a string.
+ *
+ * @param {string|Uint8Array} signature - The signature.
+ *
+ * @returns {string} - The base64url-encoded signature.
+ */
+export function encodeSignature(signature) {
+  if(typeof signature === 'string') {
+    // presume base64url-encoded
+    return signature;
+  }
+  // base64url-encode Uint8Array signature
+  return base64url.encode(signature);
+}
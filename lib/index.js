@@ -4,5 +4,7 @@
 export {EdvClient} from './EdvClient.js';
 export {EdvDocument} from './EdvDocument.js';
 export {EdvClientCore} from './EdvClientCore.js';
+export {EdvHmacRotator} from './EdvHmacRotator.js';
+export {EdvMigrator} from './EdvMigrator.js';
 export {HttpsTransport} from './HttpsTransport.js';
 export {Transport} from './Transport.js';
@@ -0,0 +1,37 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Creates a function that runs the async functions it is given with at most
+ * `concurrency` of them running at once; any others wait in a queue.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} options.concurrency - The maximum number of functions to
+ *   run at once.
+ *
+ * @returns {Function} - A function that takes an async function and returns
+ *   a Promise that settles with the result of calling it.
+ */
+export function createLimiter({concurrency}) {
+  if(!(Number.isSafeInteger(concurrency) && concurrency >= 1)) {
+    throw new TypeError('"concurrency" must be a positive integer.');
+  }
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if(active >= concurrency || queue.length === 0) {
+      return;
+    }
+    active++;
+    const {fn, resolve, reject} = queue.shift();
+    Promise.resolve().then(fn).then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return fn => new Promise((resolve, reject) => {
+    queue.push({fn, resolve, reject});
+    next();
+  });
+}
@@ -0,0 +1,125 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+const LIMITS = ['maxEntryAttributes', 'maxAttributeValues'];
+
+/**
+ * Validates the limits on the size of index entries.
+ *
+ * @param {object} [limits={}] - The limits: `{maxEntryAttributes,
+ *   maxAttributeValues}`; any limit that is not given is not enforced.
+ *
+ * @returns {object} - The validated limits.
+ */
+export function normalizeIndexLimits(limits = {}) {
+  if(!(limits && typeof limits === 'object')) {
+    throw new TypeError('"indexLimits" must be an object.');
+  }
+  const normalized = {};
+  for(const limit of LIMITS) {
+    const value = limits[limit];
+    if(value === undefined) {
+      continue;
+    }
+    if(!(Number.isSafeInteger(value) && value >= 1)) {
+      throw new TypeError(
+        `"indexLimits.${limit}" must be a positive integer.`);
+    }
+    normalized[limit] = value;
+  }
+  return normalized;
+}
+
+/**
+ * Counts the blinded attributes that each matching index will add to a
+ * document's index entry, without blinding anything.
+ *
+ * @param {object} options - The options to use.
+ * @param {Array} options.simpleMatches - The matching simple indexes.
+ * @param {Array} options.compoundMatches - The matching compound indexes.
+ * @param {Map} options.attributeValues - The values of each attribute.
+ *
+ * @returns {object} - An object `{count, indexes}` where `count` is the total
+ *   number of blinded attributes and `indexes` is an array of
+ *   `{attributes, count}` with the number of blinded attributes for each
+ *   index.
+ */
+export function countEntryAttributes({
+  simpleMatches, compoundMatches, attributeValues
+}) {
+  const indexes = [];
+  const simpleAttributes = new Set();
+  for(const {attribute} of simpleMatches) {
+    indexes.push(
+      {attributes: [attribute], count: attributeValues.get(attribute).size});
+    simpleAttributes.add(attribute);
+  }
+  for(const {attributes} of compoundMatches) {
+    // every combination of values for consecutive attributes starting with
+    // the first produces a blinded attribute, except combinations of just
+    // the first attribute when it also has a simple index
+    let count = 0;
+    let combinations = 1;
+    for(const attribute of attributes) {
+      const values = attributeValues.get(attribute);
+      if(!values) {
+        break;
+      }
+      combinations *= values.size;
+      count += combinations;
+    }
+    if(simpleAttributes.has(attributes[0])) {
+      count -= attributeValues.get(attributes[0]).size;
+    }
+    indexes.push({attributes, count});
+  }
+  const count = indexes.reduce((sum, {count}) => sum + count, 0);
+  return {count, indexes};
+}
+
+/**
+ * Throws an `IndexLimitError` if an index entry would exceed any limit.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.limits - The limits to enforce.
+ * @param {object} options.size - The size of the entry as returned from
+ *   `countEntryAttributes()`.
+ * @param {Map} options.attributeValues - The values of each attribute.
+ */
+export function assertIndexLimits({limits, size, attributeValues}) {
+  const {maxEntryAttributes, maxAttributeValues} = limits;
+  if(maxAttributeValues !== undefined) {
+    for(const {attributes} of size.indexes) {
+      for(const attribute of attributes) {
+        const count = attributeValues.get(attribute)?.size ?? 0;
+        if(count > maxAttributeValues) {
+          throw _createIndexLimitError({
+            message:
+              `Attribute "${attribute}" has ${count} values, more than the ` +
+              `limit of ${maxAttributeValues}`,
+            attributes
+          });
+        }
+      }
+    }
+  }
+  if(maxEntryAttributes !== undefined && size.count > maxEntryAttributes) {
+    // name the index that contributes the most blinded attributes
+    const {attributes} = size.indexes.reduce(
+      (max, index) => index.count > max.count ? index : max);
+    throw _createIndexLimitError({
+      message:
+        `Index entry would have ${size.count} blinded attributes, more than ` +
+        `the limit of ${maxEntryAttributes}`,
+      attributes
+    });
+  }
+}
+
+function _createIndexLimitError({message, attributes}) {
+  const index = attributes.length === 1 ? attributes[0] : attributes;
+  const err = new Error(`${message} in index ${JSON.stringify(index)}.`);
+  err.name = 'IndexLimitError';
+  err.index = attributes;
+  return err;
+}
@@ -0,0 +1,193 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base58 from 'base58-universal';
+import canonicalize from 'canonicalize';
+import {createNormalizer} from './normalize.js';
+
+export const MANIFEST_TYPE = 'EdvIndexManifest';
+
+/**
+ * The ID of the index manifest document. Document IDs are scoped to an EDV,
+ * so a fixed ID gives every client of an EDV the same manifest whichever
+ * HMAC it uses; the EDV server can tell which document is the manifest, but
+ * cannot read it. The ID is formatted like `generateId()` with the 16 bytes
+ * of `MANIFEST_TYPE` as its value.
+ */
+export const MANIFEST_ID = _encodeId(new TextEncoder().encode(MANIFEST_TYPE));
+
+// placeholder for a function-based option that cannot be stored
+const CUSTOM = 'custom';
+
+/**
+ * Creates the content of an index manifest from the indexes declared in an
+ * index helper, merged with any previous manifest content. Options that the
+ * index helper does not declare for an index are kept from the previous
+ * manifest and an index is unique if either declares it so; an error is
+ * thrown if they declare an index with different options.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.indexHelper - The index helper.
+ * @param {object} options.hmac - The HMAC API in use.
+ * @param {object} [options.previous] - The previous manifest content.
+ *
+ * @returns {object} - The manifest content.
+ */
+export function createManifest({indexHelper, hmac, previous = {}}) {
+  const indexes = new Map(
+    (previous.indexes || []).map(index => [index.attribute, index]));
+  for(const [attribute, unique] of indexHelper.indexes) {
+    const index = {...indexes.get(attribute), attribute};
+    index.unique = unique || index.unique === true;
+    for(const option of ['range', 'prefix']) {
+      const value = indexHelper[`${option}Indexes`]?.get(attribute);
+      if(value !== undefined) {
+        _assertSameOption(
+          {attribute, option, local: value, shared: index[option]});
+        index[option] = value;
+      }
+    }
+    if(indexHelper.textIndexes?.has(attribute)) {
+      index.text = true;
+    }
+    indexes.set(attribute, index);
+  }
+
+  const compoundIndexes = new Map(
+    (previous.compoundIndexes || []).map(
+      index => [_getCompoundKey(index.attributes), index]));
+  for(const [key, {attributes, unique}] of indexHelper.compoundIndexes) {
+    const existing = compoundIndexes.get(key);
+    compoundIndexes.set(
+      key, {attributes, unique: unique || existing?.unique === true});
+  }
+
+  const normalizers = {...previous.normalizers};
+  for(const [attribute, {normalize}] of indexHelper.normalizers) {
+    const local = _toStorable(normalize);
+    _assertSameOption({
+      attribute, option: 'normalize', local, shared: normalizers[attribute]
+    });
+    normalizers[attribute] = local;
+  }
+
+  const extractors = new Set([
+    ...(previous.extractors || []), ...indexHelper.extractors.keys()
+  ]);
+
+  return {
+    type: MANIFEST_TYPE,
+    indexes: [...indexes.values()],
+    compoundIndexes: [...compoundIndexes.values()],
+    normalizers,
+    extractors: [...extractors],
+    hmacs: [...new Set([...(previous.hmacs || []), hmac.id])]
+  };
+}
+
+/**
+ * Declares every index in an index manifest in an index helper. Indexes that
+ * use functions (`extract` or a custom `normalize`) cannot be stored, so
+ * they must already have been declared locally. An error is thrown, before
+ * anything is declared, if an index has already been declared locally with
+ * a different `normalize`, `range`, or `prefix` than in the manifest.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.indexHelper - The index helper.
+ * @param {object} options.manifest - The manifest content.
+ * @param {object} [options.hmac] - An HMAC API for prewarming caches.
+ */
+export function applyManifest({indexHelper, manifest, hmac}) {
+  if(!(manifest && manifest.type === MANIFEST_TYPE)) {
+    throw new Error('Invalid index manifest.');
+  }
+  const {
+    indexes = [], compoundIndexes = [], normalizers = {}, extractors = []
+  } = manifest;
+
+  // ensure every function-based option is available before changing anything
+  for(const attribute of extractors) {
+    if(!indexHelper.extractors.has(attribute)) {
+      throw new Error(
+        `Index manifest attribute "${attribute}" requires an "extract" ` +
+        'function; call "ensureIndex()" with it before loading indexes.');
+    }
+  }
+  for(const [attribute, normalize] of Object.entries(normalizers)) {
+    const local = indexHelper.normalizers.get(attribute);
+    if([normalize].flat().includes(CUSTOM) && !local) {
+      throw new Error(
+        `Index manifest attribute "${attribute}" requires a custom ` +
+        '"normalize" function; call "ensureIndex()" with it before loading ' +
+        'indexes.');
+    }
+    if(local) {
+      _assertSameOption({
+        attribute, option: 'normalize', local: _toStorable(local.normalize),
+        shared: normalize
+      });
+    }
+  }
+  for(const {attribute, range, prefix} of indexes) {
+    for(const [option, shared] of Object.entries({range, prefix})) {
+      const local = indexHelper[`${option}Indexes`]?.get(attribute);
+      if(local !== undefined) {
+        _assertSameOption({attribute, option, local, shared});
+      }
+    }
+  }
+
+  for(const [attribute, normalize] of Object.entries(normalizers)) {
+    if(![normalize].flat().includes(CUSTOM)) {
+      indexHelper.normalizers.set(
+        attribute, {normalize, normalizer: createNormalizer(normalize)});
+    }
+  }
+  for(const {attribute, unique, range, prefix, text} of indexes) {
+    const options = {attribute, unique, hmac};
+    if(range !== undefined) {
+      options.range = range;
+    }
+    if(prefix !== undefined) {
+      options.prefix = prefix;
+    }
+    if(text) {
+      options.text = text;
+    }
+    indexHelper.ensureIndex(options);
+  }
+  for(const {attributes, unique} of compoundIndexes) {
+    indexHelper.ensureIndex({attribute: attributes, unique, hmac});
+  }
+}
+
+// multibase encodes 128 bits like `generateId()`
+function _encodeId(bytes) {
+  const buf = new Uint8Array(18);
+  buf[0] = 0x00;
+  buf[1] = 0x10;
+  buf.set(bytes.subarray(0, 16), 2);
+  return 'z' + base58.encode(buf);
+}
+
+// throws if an index option declared locally differs from the one in the
+// index manifest
+function _assertSameOption({attribute, option, local, shared}) {
+  if(shared !== undefined && canonicalize(local) !== canonicalize(shared)) {
+    throw new Error(
+      `Index "${attribute}" is declared with a different "${option}" than ` +
+      'in the index manifest.');
+  }
+}
+
+function _getCompoundKey(attributes) {
+  return attributes.map(x => encodeURIComponent(x)).join('|');
+}
+
+// converts a `normalize` option to the form stored in the manifest
+function _toStorable(normalize) {
+  if(Array.isArray(normalize)) {
+    return normalize.map(_toStorable);
+  }
+  return typeof normalize === 'function' ? CUSTOM : normalize;
+}
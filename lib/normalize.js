@@ -0,0 +1,40 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+// built-in normalizers only change string values
+const NORMALIZERS = new Map([
+  ['lowercase', value => value.toLowerCase()],
+  ['nfc', value => value.normalize('NFC')],
+  ['trim', value => value.trim()]
+]);
+
+/**
+ * Creates a function that normalizes attribute values from the `normalize`
+ * option given to `ensureIndex()`.
+ *
+ * @param {string|Function|Array} normalize - The name of a built-in
+ *   normalizer ("lowercase", "nfc", or "trim"), a function that takes a value
+ *   and returns its normalized value, or an array of these to apply in order.
+ *
+ * @returns {Function} - The normalizer function.
+ */
+export function createNormalizer(normalize) {
+  const steps = Array.isArray(normalize) ? normalize : [normalize];
+  if(steps.length === 0) {
+    throw new TypeError('"normalize" must not be an empty array.');
+  }
+  const fns = steps.map(step => {
+    if(typeof step === 'function') {
+      return step;
+    }
+    const fn = NORMALIZERS.get(step);
+    if(!fn) {
+      throw new TypeError(
+        '"normalize" must be a function, one of ' +
+        `${[...NORMALIZERS.keys()].map(x => `"${x}"`).join(', ')}, or ` +
+        'an array of these.');
+    }
+    return value => typeof value === 'string' ? fn(value) : value;
+  });
+  return value => fns.reduce((value, fn) => fn(value), value);
+}
@@ -0,0 +1,255 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import canonicalize from 'canonicalize';
+
+const OPERATIONS = new Set(
+  ['add', 'remove', 'replace', 'move', 'copy', 'test']);
+const ARRAY_INDEX = /^(0|[1-9][0-9]*)$/;
+// members that must not be set to avoid changing an object's prototype
+const UNSAFE_MEMBERS = new Set(['__proto__', 'constructor', 'prototype']);
+const DOCUMENT_MEMBERS = new Set(['content', 'meta']);
+
+/**
+ * Applies a JSON Patch or JSON Merge Patch to the `content` and `meta` of an
+ * EDV document. Only `/content` and `/meta` (or, for a merge patch, the
+ * `content` and `meta` members) may be patched and both must still be
+ * objects once the patch is applied; otherwise a `PatchError` is thrown.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.document - The `{content, meta}` to patch.
+ * @param {Array|object} options.patch - The JSON Patch operations or the
+ *   JSON Merge Patch to apply.
+ * @param {string} options.format - The format of `patch`: "json-patch" or
+ *   "merge-patch".
+ *
+ * @returns {object} - The patched `{content, meta}`.
+ */
+export function applyDocumentPatch({document, patch, format}) {
+  let result;
+  if(format === 'json-patch') {
+    for(const [i, operation] of patch.entries()) {
+      for(const pointer of [operation?.path, operation?.from]) {
+        if(typeof pointer === 'string' && !_isDocumentPointer(pointer)) {
+          const err = _createPatchError(
+            `Operation ${i} ("${operation.op}" at "${operation.path}") ` +
+            'failed: only "/content" and "/meta" may be patched.');
+          err.operation = i;
+          throw err;
+        }
+      }
+    }
+    result = applyJsonPatch({document, patch});
+  } else {
+    for(const key of Object.keys(patch)) {
+      if(!DOCUMENT_MEMBERS.has(key)) {
+        throw _createPatchError(
+          `Only "content" and "meta" may be patched, not "${key}".`);
+      }
+    }
+    result = applyMergePatch({document, patch});
+  }
+  for(const key of DOCUMENT_MEMBERS) {
+    if(!_isObject(result[key])) {
+      throw _createPatchError(`The patched "${key}" must be an object.`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Applies a JSON Patch (RFC 6902) to a JSON document. The document is not
+ * modified; if any operation fails, including a `test` operation, no
+ * changes are made and a `PatchError` is thrown.
+ *
+ * @param {object} options - The options to use.
+ * @param {*} options.document - The JSON document to patch.
+ * @param {Array<object>} options.patch - The operations to apply.
+ *
+ * @returns {*} - The patched document.
+ */
+export function applyJsonPatch({document, patch}) {
+  if(!Array.isArray(patch)) {
+    throw new TypeError('"patch" must be an array of operations.');
+  }
+  let result = _clone(document);
+  for(const [i, operation] of patch.entries()) {
+    const path = `patch[${i}]`;
+    if(!(operation && typeof operation === 'object' &&
+      OPERATIONS.has(operation.op))) {
+      throw new TypeError(
+        `"${path}.op" must be one of ${[...OPERATIONS].join(', ')}.`);
+    }
+    const {op} = operation;
+    const tokens = _parsePointer(
+      {pointer: operation.path, path: `${path}.path`});
+    if(['add', 'replace', 'test'].includes(op) && !('value' in operation)) {
+      throw new TypeError(`"${path}.value" is required for "${op}".`);
+    }
+    let from;
+    if(op === 'move' || op === 'copy') {
+      from = _parsePointer({pointer: operation.from, path: `${path}.from`});
+    }
+    try {
+      result = _applyOperation(
+        {document: result, op, tokens, from, operation});
+    } catch(e) {
+      if(e.name !== 'PatchError') {
+        throw e;
+      }
+      e.message = `Operation ${i} ("${op}" at "${operation.path}") failed: ` +
+        e.message;
+      e.operation = i;
+      throw e;
+    }
+  }
+  return result;
+}
+
+/**
+ * Applies a JSON Merge Patch (RFC 7396) to a JSON document. The document is
+ * not modified.
+ *
+ * @param {object} options - The options to use.
+ * @param {*} options.document - The JSON document to patch.
+ * @param {*} options.patch - The merge patch to apply; `null` values remove
+ *   members.
+ *
+ * @returns {*} - The patched document.
+ */
+export function applyMergePatch({document, patch}) {
+  if(!_isObject(patch)) {
+    return _clone(patch);
+  }
+  const result = _isObject(document) ? _clone(document) : {};
+  for(const [key, value] of Object.entries(patch)) {
+    if(value === null) {
+      delete result[key];
+    } else if(UNSAFE_MEMBERS.has(key)) {
+      throw _createPatchError(`member "${key}" must not be set.`);
+    } else {
+      result[key] = applyMergePatch({document: result[key], patch: value});
+    }
+  }
+  return result;
+}
+
+function _applyOperation({document, op, tokens, from, operation}) {
+  if(op === 'test') {
+    const actual = _get({document, tokens});
+    if(canonicalize(actual) !== canonicalize(operation.value)) {
+      throw _createPatchError('the value does not match.');
+    }
+    return document;
+  }
+  if(op === 'remove' || op === 'replace') {
+    // the target must exist
+    _get({document, tokens});
+  }
+  if(op === 'remove') {
+    return _remove({document, tokens});
+  }
+  if(op === 'move') {
+    if(tokens.length > from.length &&
+      from.every((token, i) => token === tokens[i])) {
+      throw _createPatchError(
+        'a value must not be moved into one of its children.');
+    }
+    const value = _get({document, tokens: from});
+    document = _remove({document, tokens: from});
+    return _add({document, tokens, value});
+  }
+  const value = op === 'copy' ?
+    _get({document, tokens: from}) : operation.value;
+  if(op === 'replace') {
+    document = _remove({document, tokens});
+  }
+  return _add({document, tokens, value: _clone(value)});
+}
+
+function _get({document, tokens}) {
+  let value = document;
+  for(const token of tokens) {
+    if(Array.isArray(value)) {
+      if(!(ARRAY_INDEX.test(token) && Number(token) < value.length)) {
+        throw _createPatchError(`array index "${token}" does not exist.`);
+      }
+      value = value[Number(token)];
+    } else if(_isObject(value) && Object.hasOwn(value, token)) {
+      value = value[token];
+    } else {
+      throw _createPatchError(`member "${token}" does not exist.`);
+    }
+  }
+  return value;
+}
+
+function _add({document, tokens, value}) {
+  if(tokens.length === 0) {
+    return value;
+  }
+  const parent = _get({document, tokens: tokens.slice(0, -1)});
+  const token = tokens[tokens.length - 1];
+  if(Array.isArray(parent)) {
+    const index = token === '-' ? parent.length : Number(token);
+    if(!((token === '-' || ARRAY_INDEX.test(token)) &&
+      index <= parent.length)) {
+      throw _createPatchError(`array index "${token}" is out of bounds.`);
+    }
+    parent.splice(index, 0, value);
+  } else if(_isObject(parent)) {
+    if(UNSAFE_MEMBERS.has(token)) {
+      throw _createPatchError(`member "${token}" must not be set.`);
+    }
+    parent[token] = value;
+  } else {
+    throw _createPatchError('the parent is not an object or array.');
+  }
+  return document;
+}
+
+function _remove({document, tokens}) {
+  if(tokens.length === 0) {
+    throw _createPatchError('the root of the document must not be removed.');
+  }
+  const parent = _get({document, tokens: tokens.slice(0, -1)});
+  const token = tokens[tokens.length - 1];
+  if(Array.isArray(parent)) {
+    parent.splice(Number(token), 1);
+  } else {
+    delete parent[token];
+  }
+  return document;
+}
+
+// parses a JSON Pointer (RFC 6901) into its reference tokens
+function _parsePointer({pointer, path}) {
+  if(!(typeof pointer === 'string' &&
+    (pointer === '' || pointer.startsWith('/')))) {
+    throw new TypeError(`"${path}" must be a JSON Pointer.`);
+  }
+  if(pointer === '') {
+    return [];
+  }
+  return pointer.slice(1).split('/')
+    .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+// true if a JSON Pointer refers to the `content` or `meta` of a document
+function _isDocumentPointer(pointer) {
+  return /^\/(content|meta)(\/|$)/.test(pointer);
+}
+
+function _createPatchError(message) {
+  const err = new Error(message);
+  err.name = 'PatchError';
+  return err;
+}
+
+function _clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function _isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
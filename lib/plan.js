@@ -0,0 +1,150 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Reports which indexes of an index helper will be used to serve each
+ * attribute in the given `equals` or `has` query. No HMAC operations are
+ * performed.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.helper - The index helper that will build the
+ *   query.
+ * @param {object|Array} [options.equals] - An object with key-value
+ *   attribute pairs to match or an array of such objects.
+ * @param {string|Array} [options.has] - A string with an attribute name to
+ *   match or an array of such strings.
+ *
+ * @returns {object} - The query plan: `{equals?: [{terms, unindexed}],
+ *   has?: {terms, unindexed}}`, where `terms` is an array of
+ *   `{attribute, indexes: [{attributes, unique}]}`.
+ */
+export function planQuery({helper, equals, has}) {
+  assertQuery({equals, has});
+  const plan = {};
+  if(equals !== undefined) {
+    if(!Array.isArray(equals)) {
+      equals = [equals];
+    }
+    plan.equals = equals.map(
+      equal => _planQueryTerms({helper, attributes: Object.keys(equal)}));
+  }
+  if(has !== undefined) {
+    if(!Array.isArray(has)) {
+      has = [has];
+    }
+    plan.has = _planQueryTerms({helper, attributes: has});
+  }
+  return plan;
+}
+
+/**
+ * Throws an error if any attribute in the given `equals` or `has` query will
+ * not be used to match documents, i.e., if it has not been declared in any
+ * index or it is only indexed by compound indexes whose earlier attributes
+ * are not in the query.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.helper - The index helper that will build the
+ *   query.
+ * @param {object|Array} [options.equals] - An object with key-value
+ *   attribute pairs to match or an array of such objects.
+ * @param {string|Array} [options.has] - A string with an attribute name to
+ *   match or an array of such strings.
+ */
+export function assertIndexed({helper, equals, has}) {
+  const plan = planQuery({helper, equals, has});
+  const unindexed = new Set();
+  const unserved = new Set();
+  for(const term of [...(plan.equals || []), ...(plan.has ? [plan.has] : [])]) {
+    term.unindexed.forEach(unindexed.add, unindexed);
+    for(const {attribute, indexes} of term.terms) {
+      if(indexes.length === 0 && !term.unindexed.includes(attribute)) {
+        unserved.add(attribute);
+      }
+    }
+  }
+  const messages = [];
+  if(unindexed.size > 0) {
+    messages.push(
+      'Query attributes are not indexed: ' + _list(unindexed) + '; call ' +
+      '"ensureIndex()" for each attribute before using it in a query.');
+  }
+  if(unserved.size > 0) {
+    messages.push(
+      'Query attributes are only indexed by compound indexes whose earlier ' +
+      'attributes are not in the query: ' + _list(unserved) + '.');
+  }
+  if(messages.length > 0) {
+    throw new Error(messages.join(' '));
+  }
+}
+
+/**
+ * Validates the `equals` and `has` of a query.
+ *
+ * @param {object} options - The options to use.
+ * @param {object|Array} [options.equals] - An object with key-value
+ *   attribute pairs to match or an array of such objects.
+ * @param {string|Array} [options.has] - A string with an attribute name to
+ *   match or an array of such strings.
+ */
+export function assertQuery({equals, has}) {
+  if(equals !== undefined) {
+    if(Array.isArray(equals)) {
+      if(!equals.every(x => (x && typeof x === 'object'))) {
+        throw new TypeError('"equals" must be an array of objects.');
+      }
+    } else if(!(equals && typeof equals === 'object')) {
+      throw new TypeError(
+        '"equals" must be an object or an array of objects.');
+    }
+  }
+  if(has !== undefined) {
+    if(Array.isArray(has)) {
+      if(!has.every(x => (x && typeof x === 'string'))) {
+        throw new TypeError('"has" must be an array of strings.');
+      }
+    } else if(typeof has !== 'string') {
+      throw new TypeError('"has" must be a string or an array of strings.');
+    }
+  }
+}
+
+function _planQueryTerms({helper, attributes}) {
+  const terms = new Map(
+    attributes.map(attribute => [attribute, {attribute, indexes: []}]));
+  const matchFn = ({attribute}) => terms.has(attribute);
+  const {simpleMatches, compoundMatches} = helper._matchIndexes({matchFn});
+  for(const {attribute, unique} of simpleMatches) {
+    terms.get(attribute).indexes.push({attributes: [attribute], unique});
+  }
+  for(const {attributes: names, unique} of compoundMatches) {
+    // only the consecutive attributes starting with the first are served
+    for(const name of names) {
+      if(!matchFn({attribute: name})) {
+        break;
+      }
+      terms.get(name).indexes.push({attributes: names.slice(), unique});
+    }
+  }
+  const unindexed = attributes.filter(
+    attribute => !_isIndexed({helper, attribute}));
+  return {terms: [...terms.values()], unindexed};
+}
+
+function _isIndexed({helper, attribute}) {
+  if(helper.indexes.has(attribute)) {
+    return true;
+  }
+  for(const {attributes} of helper.compoundIndexes.values()) {
+    if(attributes.includes(attribute)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function _list(attributes) {
+  return [...attributes].map(x => `"${x}"`).join(', ');
+}
@@ -0,0 +1,110 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+// maximum length of a prefix that may be indexed
+const MAX_PREFIX_LENGTH = 64;
+
+export const PREFIX_LEAKAGE_WARNING =
+  'A prefix index blinds every prefix of a value from "min" to "max" ' +
+  'characters long, which reveals to the EDV server which documents share ' +
+  'a prefix and hints at the length of short values; a larger "min" and a ' +
+  'smaller "max" leak less but match fewer queries exactly, requiring more ' +
+  'results to be decrypted and filtered.';
+
+/**
+ * Validates the `prefix` option given to `ensureIndex()` and returns a
+ * normalized copy of it.
+ *
+ * @param {object} prefix - The prefix index options: `{min, max}`.
+ *
+ * @returns {object} - The normalized prefix index options.
+ */
+export function normalizePrefixIndex(prefix) {
+  if(!(prefix && typeof prefix === 'object')) {
+    throw new TypeError(
+      `"prefix" must be an object with "min" and "max" properties. ` +
+      PREFIX_LEAKAGE_WARNING);
+  }
+  const {min = 1, max} = prefix;
+  if(!(Number.isSafeInteger(min) && min >= 1 &&
+    Number.isSafeInteger(max) && max >= min && max <= MAX_PREFIX_LENGTH)) {
+    throw new TypeError(
+      '"prefix.min" and "prefix.max" must be integers where ' +
+      `1 <= min <= max <= ${MAX_PREFIX_LENGTH}. ${PREFIX_LEAKAGE_WARNING}`);
+  }
+  return {min, max};
+}
+
+/**
+ * Normalizes a string so that prefix matching is case-insensitive and
+ * ignores leading and trailing whitespace and Unicode representation.
+ *
+ * @param {string} value - The string to normalize.
+ *
+ * @returns {string} - The normalized string.
+ */
+export function normalizeString(value) {
+  return value.normalize('NFC').trim().toLowerCase();
+}
+
+/**
+ * Gets every prefix of a value to index for a prefix index.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.prefix - The normalized prefix index options.
+ * @param {any} options.value - The value to get prefixes for.
+ *
+ * @returns {string[]} - The prefixes; empty if the value is not a string.
+ */
+export function getPrefixes({prefix, value}) {
+  if(typeof value !== 'string') {
+    return [];
+  }
+  // iterate over code points to avoid splitting surrogate pairs
+  const chars = [...normalizeString(value)];
+  const prefixes = [];
+  for(let i = prefix.min; i <= Math.min(prefix.max, chars.length); ++i) {
+    prefixes.push(chars.slice(0, i).join(''));
+  }
+  return prefixes;
+}
+
+/**
+ * Gets the prefix to query for a `startsWith` value. Values longer than
+ * the index's `max` are truncated; matches must then be filtered.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.attribute - The attribute being queried.
+ * @param {object} options.prefix - The normalized prefix index options.
+ * @param {string} options.value - The `startsWith` value.
+ *
+ * @returns {string} - The prefix to query for.
+ */
+export function getQueryPrefix({attribute, prefix, value}) {
+  if(typeof value !== 'string') {
+    throw new TypeError(
+      `"startsWith" value for "${attribute}" must be a string.`);
+  }
+  const chars = [...normalizeString(value)];
+  if(chars.length < prefix.min) {
+    throw new Error(
+      `"startsWith" value for "${attribute}" must be at least ` +
+      `${prefix.min} character(s) long; shorter prefixes are not indexed.`);
+  }
+  return chars.slice(0, prefix.max).join('');
+}
+
+/**
+ * Checks whether a value starts with a `startsWith` value, after both are
+ * normalized.
+ *
+ * @param {object} options - The options to use.
+ * @param {any} options.value - The value to check.
+ * @param {string} options.startsWith - The `startsWith` value.
+ *
+ * @returns {boolean} - `true` if the value starts with `startsWith`.
+ */
+export function hasPrefix({value, startsWith}) {
+  return typeof value === 'string' &&
+    normalizeString(value).startsWith(normalizeString(startsWith));
+}
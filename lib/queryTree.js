@@ -0,0 +1,172 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import canonicalize from 'canonicalize';
+
+// the maximum number of filters a query tree may be compiled into; each
+// filter is sent to the EDV server as a separate query
+const MAX_FILTERS = 100;
+const NODE_KEYS = new Set(['and', 'or', 'equals', 'has']);
+
+/**
+ * Compiles a boolean query tree into the `{equals, has}` filters that can be
+ * sent to an EDV server. Each node in the tree is an object with any of:
+ *
+ * - `equals`: an object with key-value attribute pairs to match or an array
+ *   of such objects, any one of which must match (as in `find()`).
+ * - `has`: an attribute name or an array of attribute names, all of which
+ *   must be present (as in `find()`).
+ * - `and`: an array of nodes that must all match.
+ * - `or`: an array of nodes, any one of which must match.
+ *
+ * Every property given for a node must match for the node to match.
+ *
+ * The tree is compiled into a disjunction of conjunctions: a document
+ * matches if it matches every filter in any one of the returned arrays. A
+ * tree that an EDV server can express directly is compiled into a single
+ * array with a single filter.
+ *
+ * @param {object} query - The root node of the query tree.
+ *
+ * @returns {Array<Array<object>>} - The filters: an array of arrays of
+ *   `{equals?, has?}`.
+ */
+export function compileQueryTree(query) {
+  const clauses = _compileNode({node: query, path: 'query'});
+  const conjunctions = clauses.map(_toFilters);
+
+  // a set of single-filter conjunctions that only differ by one `equals`
+  // object can be sent as a single filter with an array of `equals` objects
+  const merged = new Map();
+  const result = [];
+  for(const filters of conjunctions) {
+    const [filter] = filters;
+    if(filters.length > 1 || !filter.equals) {
+      result.push(filters);
+      continue;
+    }
+    const key = canonicalize((filter.has || []).slice().sort());
+    const existing = merged.get(key);
+    if(existing) {
+      existing.equals.push(...filter.equals);
+      continue;
+    }
+    merged.set(key, filter);
+    result.push(filters);
+  }
+  return _dedupeConjunctions(result);
+}
+
+// compiles a node into an array of clauses `{equals: [object], has: Set}`,
+// any one of which must match
+function _compileNode({node, path}) {
+  if(!(node && typeof node === 'object' && !Array.isArray(node))) {
+    throw new TypeError(`"${path}" must be an object.`);
+  }
+  const keys = Object.keys(node).filter(key => node[key] !== undefined);
+  if(keys.length === 0) {
+    throw new TypeError(
+      `"${path}" must have at least one of "and", "or", "equals", or "has".`);
+  }
+  const unknown = keys.filter(key => !NODE_KEYS.has(key));
+  if(unknown.length > 0) {
+    throw new TypeError(
+      `"${path}" has unknown properties: ` +
+      unknown.map(x => `"${x}"`).join(', ') + '.');
+  }
+
+  // every property of the node must match
+  const {and, or, equals, has} = node;
+  let clauses = [{equals: [], has: new Set()}];
+  if(equals !== undefined) {
+    const alternatives = Array.isArray(equals) ? equals : [equals];
+    if(!alternatives.every(x => x && typeof x === 'object')) {
+      throw new TypeError(
+        `"${path}.equals" must be an object or an array of objects.`);
+    }
+    clauses = _multiply(clauses, alternatives.map(
+      equal => ({equals: [equal], has: new Set()})));
+  }
+  if(has !== undefined) {
+    const attributes = Array.isArray(has) ? has : [has];
+    if(!attributes.every(x => x && typeof x === 'string')) {
+      throw new TypeError(
+        `"${path}.has" must be a string or an array of strings.`);
+    }
+    clauses = _multiply(clauses, [{equals: [], has: new Set(attributes)}]);
+  }
+  if(and !== undefined) {
+    _assertNodes({nodes: and, path: `${path}.and`});
+    for(const [i, child] of and.entries()) {
+      clauses = _multiply(
+        clauses, _compileNode({node: child, path: `${path}.and[${i}]`}));
+    }
+  }
+  if(or !== undefined) {
+    _assertNodes({nodes: or, path: `${path}.or`});
+    clauses = _multiply(clauses, or.flatMap(
+      (child, i) => _compileNode({node: child, path: `${path}.or[${i}]`})));
+  }
+  return clauses;
+}
+
+function _assertNodes({nodes, path}) {
+  if(!(Array.isArray(nodes) && nodes.length > 0)) {
+    throw new TypeError(`"${path}" must be a non-empty array.`);
+  }
+}
+
+// combines every clause in `a` with every clause in `b`
+function _multiply(a, b) {
+  if(a.length * b.length > MAX_FILTERS) {
+    throw new Error(
+      `Query trees must not expand to more than ${MAX_FILTERS} filters.`);
+  }
+  const clauses = [];
+  for(const x of a) {
+    for(const y of b) {
+      clauses.push({
+        equals: [...x.equals, ...y.equals],
+        has: new Set([...x.has, ...y.has])
+      });
+    }
+  }
+  return clauses;
+}
+
+// converts a clause into filters that must all match; `equals` objects are
+// merged unless they have different values for the same attribute, which
+// requires separate filters whose results are intersected
+function _toFilters({equals, has}) {
+  const merged = [];
+  for(const equal of equals) {
+    const target = merged.find(other => Object.keys(equal).every(
+      key => !(key in other) ||
+        canonicalize(other[key]) === canonicalize(equal[key])));
+    if(target) {
+      Object.assign(target, equal);
+    } else {
+      merged.push({...equal});
+    }
+  }
+  const filters = merged.map(equal => ({equals: [equal]}));
+  if(has.size > 0) {
+    if(filters.length === 0) {
+      filters.push({});
+    }
+    filters[0].has = [...has];
+  }
+  return filters;
+}
+
+function _dedupeConjunctions(conjunctions) {
+  const seen = new Set();
+  return conjunctions.filter(filters => {
+    const key = canonicalize(filters);
+    if(seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
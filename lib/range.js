@@ -0,0 +1,272 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+// number of characters of an ISO 8601 date-time to keep for each granularity
+const DATE_GRANULARITIES = new Map([
+  ['year', 4],
+  ['month', 7],
+  ['day', 10],
+  ['hour', 13],
+  ['minute', 16]
+]);
+const DATE_UNITS = [...DATE_GRANULARITIES.keys()];
+
+/**
+ * Validates the `range` option given to `ensureIndex()` and returns a
+ * normalized copy of it.
+ *
+ * @param {object} range - The range index options: `{type, granularity}` or,
+ *   for numbers, `{type, buckets}`.
+ *
+ * @returns {object} - The normalized range index options.
+ */
+export function normalizeRangeIndex(range) {
+  if(!(range && typeof range === 'object')) {
+    throw new TypeError('"range" must be an object.');
+  }
+  const {type, granularity, buckets} = range;
+  if(type === 'date') {
+    if(granularity === undefined) {
+      return {type, granularity: 'day'};
+    }
+    if(!DATE_GRANULARITIES.has(granularity)) {
+      throw new TypeError(
+        '"range.granularity" for a "date" range must be one of: ' +
+        `${DATE_UNITS.join(', ')}.`);
+    }
+    return {type, granularity};
+  }
+  if(type === 'number') {
+    if(buckets !== undefined) {
+      if(!(Array.isArray(buckets) && buckets.length > 0 &&
+        buckets.every(x => Number.isFinite(x)) &&
+        buckets.every((x, i) => i === 0 || x > buckets[i - 1]))) {
+        throw new TypeError(
+          '"range.buckets" must be a non-empty array of increasing numbers.');
+      }
+      return {type, buckets: buckets.slice()};
+    }
+    if(!(Number.isFinite(granularity) && granularity > 0)) {
+      throw new TypeError(
+        '"range.granularity" for a "number" range must be a positive number ' +
+        'unless "range.buckets" is given.');
+    }
+    return {type, granularity};
+  }
+  throw new TypeError('"range.type" must be "date" or "number".');
+}
+
+/**
+ * Gets the bucket that a value falls into for a range index.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.range - The normalized range index options.
+ * @param {any} options.value - The value to get the bucket for.
+ *
+ * @returns {string|number|undefined} - The bucket or `undefined` if the value
+ *   is not of the range index's type.
+ */
+export function getBucket({range, value}) {
+  value = _toComparable({range, value});
+  if(value === undefined) {
+    return;
+  }
+  if(range.type === 'date') {
+    return _getDateBucket({time: value, granularity: range.granularity});
+  }
+  if(range.buckets) {
+    // the bucket is the number of boundaries at or below `value`
+    return range.buckets.filter(x => x <= value).length;
+  }
+  return Math.floor(value / range.granularity);
+}
+
+/**
+ * Gets every bucket that covers the given bounds for a range index.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.attribute - The attribute the bounds are for.
+ * @param {object} options.range - The normalized range index options.
+ * @param {object} options.bounds - The bounds: `{gt, gte, lt, lte}`.
+ * @param {number} options.max - The maximum number of buckets to return.
+ *
+ * @returns {Array} - The covering buckets.
+ */
+export function getBuckets({attribute, range, bounds, max}) {
+  const {lower, upper} = _getBounds({attribute, range, bounds});
+
+  // explicit buckets are finite, so missing bounds are permitted
+  if(range.buckets) {
+    const first = lower === undefined ? 0 : getBucket({range, value: lower});
+    const last = upper === undefined ?
+      range.buckets.length : getBucket({range, value: upper});
+    return _sequence({first, last, attribute, max});
+  }
+
+  if(lower === undefined || upper === undefined) {
+    throw new Error(
+      `Range query for "${attribute}" must specify both a lower and an ` +
+      'upper bound.');
+  }
+
+  if(range.type === 'number') {
+    const first = getBucket({range, value: lower});
+    const last = getBucket({range, value: upper});
+    return _sequence({first, last, attribute, max});
+  }
+
+  // step through dates one unit of granularity at a time
+  const {granularity} = range;
+  const buckets = [];
+  for(let time = _truncateDate({time: lower, granularity}); time <= upper;
+    time = _nextDate({time, granularity})) {
+    if(buckets.length === max) {
+      _throwTooBroad({attribute, max});
+    }
+    buckets.push(_getDateBucket({time, granularity}));
+  }
+  return buckets;
+}
+
+/**
+ * Checks whether a value falls within the given bounds.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.range - The normalized range index options.
+ * @param {object} options.bounds - The bounds: `{gt, gte, lt, lte}`.
+ * @param {any} options.value - The value to check.
+ *
+ * @returns {boolean} - `true` if the value is within the bounds.
+ */
+export function inRange({range, bounds, value}) {
+  value = _toComparable({range, value});
+  if(value === undefined) {
+    return false;
+  }
+  const {gt, gte, lt, lte} = _toComparableBounds({range, bounds});
+  return !((gt !== undefined && !(value > gt)) ||
+    (gte !== undefined && !(value >= gte)) ||
+    (lt !== undefined && !(value < lt)) ||
+    (lte !== undefined && !(value <= lte)));
+}
+
+/**
+ * Validates the bounds for a range query.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.attribute - The attribute the bounds are for.
+ * @param {object} options.range - The normalized range index options.
+ * @param {object} options.bounds - The bounds: `{gt, gte, lt, lte}`.
+ */
+export function assertBounds({attribute, range, bounds}) {
+  _getBounds({attribute, range, bounds});
+}
+
+function _getBounds({attribute, range, bounds}) {
+  if(!(bounds && typeof bounds === 'object')) {
+    throw new TypeError(
+      `Range query for "${attribute}" must be an object with "gt", "gte", ` +
+      '"lt", or "lte" properties.');
+  }
+  const {gt, gte, lt, lte} = _toComparableBounds({range, bounds});
+  for(const [key, value] of Object.entries({gt, gte, lt, lte})) {
+    if(bounds[key] !== undefined && value === undefined) {
+      throw new TypeError(
+        `Range query bound "${key}" for "${attribute}" must be a ` +
+        `${range.type}.`);
+    }
+  }
+  const lower = gte === undefined ? gt : gte;
+  const upper = lte === undefined ? lt : lte;
+  if(lower === undefined && upper === undefined) {
+    throw new TypeError(
+      `Range query for "${attribute}" must specify at least one bound.`);
+  }
+  // an empty range would produce no buckets and so an empty query
+  if(lower > upper ||
+    (lower === upper && (gte === undefined || lte === undefined))) {
+    throw new TypeError(
+      `Range query for "${attribute}" matches no values; its lower bound ` +
+      'must be below its upper bound, or equal to it if both are inclusive.');
+  }
+  return {lower, upper};
+}
+
+function _getDateBucket({time, granularity}) {
+  return new Date(time).toISOString().slice(
+    0, DATE_GRANULARITIES.get(granularity));
+}
+
+function _nextDate({time, granularity}) {
+  const date = new Date(time);
+  switch(granularity) {
+    case 'year':
+      date.setUTCFullYear(date.getUTCFullYear() + 1);
+      break;
+    case 'month':
+      date.setUTCMonth(date.getUTCMonth() + 1);
+      break;
+    case 'day':
+      date.setUTCDate(date.getUTCDate() + 1);
+      break;
+    case 'hour':
+      date.setUTCHours(date.getUTCHours() + 1);
+      break;
+    default:
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+  }
+  return date.getTime();
+}
+
+function _sequence({first, last, attribute, max}) {
+  if(last - first + 1 > max) {
+    _throwTooBroad({attribute, max});
+  }
+  const buckets = [];
+  for(let bucket = first; bucket <= last; ++bucket) {
+    buckets.push(bucket);
+  }
+  return buckets;
+}
+
+function _throwTooBroad({attribute, max}) {
+  throw new Error(
+    `Range query for "${attribute}" is too broad; it covers more than ` +
+    `${max} buckets.`);
+}
+
+function _toComparable({range, value}) {
+  if(range.type === 'number') {
+    return Number.isFinite(value) ? value : undefined;
+  }
+  let time;
+  if(value instanceof Date) {
+    time = value.getTime();
+  } else if(typeof value === 'string') {
+    time = Date.parse(value);
+  } else if(typeof value === 'number') {
+    time = value;
+  }
+  return Number.isFinite(time) ? time : undefined;
+}
+
+function _toComparableBounds({range, bounds}) {
+  const result = {};
+  for(const key of ['gt', 'gte', 'lt', 'lte']) {
+    if(bounds[key] !== undefined) {
+      result[key] = _toComparable({range, value: bounds[key]});
+    }
+  }
+  return result;
+}
+
+function _truncateDate({time, granularity}) {
+  const date = new Date(time);
+  const i = DATE_UNITS.indexOf(granularity);
+  return Date.UTC(
+    date.getUTCFullYear(),
+    i >= 1 ? date.getUTCMonth() : 0,
+    i >= 2 ? date.getUTCDate() : 1,
+    i >= 3 ? date.getUTCHours() : 0,
+    i >= 4 ? date.getUTCMinutes() : 0);
+}
@@ -0,0 +1,99 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+const OPERATORS = new Set(['and', 'or']);
+// maximum length of a token that will be indexed, longer tokens are truncated
+const MAX_TOKEN_LENGTH = 64;
+
+/**
+ * Splits a string into normalized (NFC, lowercased) word tokens.
+ *
+ * @param {any} value - The value to tokenize.
+ *
+ * @returns {string[]} - The tokens, in order and including duplicates;
+ *   empty if the value is not a string.
+ */
+export function tokenize(value) {
+  if(typeof value !== 'string') {
+    return [];
+  }
+  return value.normalize('NFC').toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 0)
+    .map(token => [...token].slice(0, MAX_TOKEN_LENGTH).join(''));
+}
+
+/**
+ * Validates a `text` query and returns a normalized copy of it.
+ *
+ * @param {object} options - The options to use.
+ * @param {string|object} options.text - The text query: a string or
+ *   `{query, operator, attributes}`.
+ * @param {string[]} options.textAttributes - Every text-indexed attribute.
+ *
+ * @returns {object} - The normalized text query:
+ *   `{tokens, operator, attributes}`.
+ */
+export function normalizeTextQuery({text, textAttributes}) {
+  if(typeof text === 'string') {
+    text = {query: text};
+  }
+  if(!(text && typeof text === 'object')) {
+    throw new TypeError(
+      '"text" must be a string or an object with a "query" string.');
+  }
+  const {query, operator = 'and', attributes = textAttributes} = text;
+  if(typeof query !== 'string') {
+    throw new TypeError('"text.query" must be a string.');
+  }
+  if(!OPERATORS.has(operator)) {
+    throw new TypeError('"text.operator" must be "and" or "or".');
+  }
+  if(!(Array.isArray(attributes) &&
+    attributes.every(x => typeof x === 'string'))) {
+    throw new TypeError('"text.attributes" must be an array of strings.');
+  }
+  if(attributes.length === 0) {
+    throw new Error(
+      'No text indexes; call "ensureIndex()" with a "text" option first.');
+  }
+  for(const attribute of attributes) {
+    if(!textAttributes.includes(attribute)) {
+      throw new Error(
+        `Text query attribute "${attribute}" does not have a text index; ` +
+        'call "ensureIndex()" with a "text" option first.');
+    }
+  }
+  const tokens = [...new Set(tokenize(query))];
+  if(tokens.length === 0) {
+    throw new Error('"text.query" must contain at least one word.');
+  }
+  return {tokens, operator, attributes};
+}
+
+/**
+ * Scores a set of values against a normalized text query. The score is the
+ * total number of occurrences of query tokens in the values.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.text - The normalized text query.
+ * @param {any[]} options.values - The values to score.
+ *
+ * @returns {number} - The score; `0` if the values do not match.
+ */
+export function scoreText({text, values}) {
+  const counts = new Map(text.tokens.map(token => [token, 0]));
+  for(const value of values) {
+    for(const token of tokenize(value)) {
+      if(counts.has(token)) {
+        counts.set(token, counts.get(token) + 1);
+      }
+    }
+  }
+  const matched = [...counts.values()];
+  if(text.operator === 'and' ? matched.includes(0) :
+    matched.every(x => x === 0)) {
+    return 0;
+  }
+  return matched.reduce((sum, x) => sum + x, 0);
+}
@@ -2,8 +2,10 @@
  * Copyright (c) 2018-2023 Digital Bazaar, Inc. All rights reserved.
  */
 import {BASE_URL, default as mock} from './mock.js';
+import crypto from './crypto.js';
 import {EdvClient} from '../lib/index.js';
 import {isRecipient} from './test-utils.js';
+import {MockHmac} from './MockHmac.js';
 
 const cipherVersions = ['recommended', 'fips'];
 
@@ -488,6 +490,344 @@ describe('EdvClient', () => {
         version2.content.should.deep.equal({someKey: 'aNewValue'});
       });
 
+      it('should keep meta when a mutator only returns content', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        const doc = {
+          id: await EdvClient.generateId(),
+          content: {counter: 0},
+          meta: {note: 'keep'}
+        };
+        await client.insert({doc, invocationSigner, keyResolver});
+        const updated = await client.updateWithRetry({
+          id: doc.id,
+          mutator: ({content}) => ({content: {counter: content.counter + 1}}),
+          invocationSigner, keyResolver
+        });
+        updated.content.should.deep.equal({counter: 1});
+        updated.meta.should.deep.equal({note: 'keep'});
+        const stored = await client.get({id: doc.id, invocationSigner});
+        stored.meta.should.deep.equal({note: 'keep'});
+
+        // the existing `content` is kept if only `meta` is returned
+        const retagged = await client.updateWithRetry({
+          id: doc.id,
+          mutator: () => ({meta: {note: 'changed'}}),
+          invocationSigner, keyResolver
+        });
+        retagged.content.should.deep.equal({counter: 1});
+        retagged.meta.should.deep.equal({note: 'changed'});
+      });
+
+      it('should retry an update after a conflict', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        const doc = {
+          id: await EdvClient.generateId(),
+          content: {counter: 0, tags: []}
+        };
+        await client.insert({doc, invocationSigner, keyResolver});
+        mock.edvStorage.checksSequence = true;
+        try {
+          // a concurrent writer changes the document during the first
+          // attempt
+          let calls = 0;
+          const updated = await client.updateWithRetry({
+            id: doc.id,
+            mutator: async latest => {
+              if(calls++ === 0) {
+                const other = await client.get({id: doc.id, invocationSigner});
+                other.content.tags.push('other');
+                await client.update(
+                  {doc: other, invocationSigner, keyResolver});
+              }
+              latest.content.counter++;
+            },
+            invocationSigner, keyResolver, retryDelay: 1
+          });
+          calls.should.equal(2);
+          updated.sequence.should.equal(2);
+          updated.content.should.deep.equal({counter: 1, tags: ['other']});
+
+          // a conflict on every attempt is surfaced with both versions
+          let err;
+          try {
+            await client.updateWithRetry({
+              id: doc.id,
+              mutator: async () => {
+                const other = await client.get({id: doc.id, invocationSigner});
+                other.content.counter += 10;
+                await client.update(
+                  {doc: other, invocationSigner, keyResolver});
+                return {content: {counter: -1, tags: []}};
+              },
+              invocationSigner, keyResolver, maxRetries: 1, retryDelay: 1
+            });
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          err.name.should.equal('InvalidStateError');
+          err.attempted.content.should.deep.equal({counter: -1, tags: []});
+          err.current.content.counter.should.equal(21);
+          err.current.sequence.should.equal(4);
+
+          // the conflict is surfaced even if the latest version cannot be
+          // fetched because the document is removed after the conflicting
+          // write is rejected
+          const {documents} = mock.edvStorage.edvs.get(client.id);
+          const {get} = documents;
+          let removing = false;
+          let removed = false;
+          documents.get = function(id) {
+            if(removed) {
+              return undefined;
+            }
+            removed = removing;
+            return get.call(this, id);
+          };
+          err = undefined;
+          try {
+            await client.updateWithRetry({
+              id: doc.id,
+              mutator: async () => {
+                const other = await client.get({id: doc.id, invocationSigner});
+                await client.update(
+                  {doc: other, invocationSigner, keyResolver});
+                removing = true;
+                return {content: {counter: -1, tags: []}};
+              },
+              invocationSigner, keyResolver, maxRetries: 0
+            });
+          } catch(e) {
+            err = e;
+          } finally {
+            delete documents.get;
+          }
+          should.exist(err);
+          err.name.should.equal('InvalidStateError');
+          should.not.exist(err.current);
+        } finally {
+          mock.edvStorage.checksSequence = false;
+        }
+      });
+
+      it('should patch a document', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.name'});
+        const doc = {
+          id: await EdvClient.generateId(),
+          content: {name: 'a', tags: ['x'], extra: true}
+        };
+        await client.insert({doc, invocationSigner, keyResolver});
+        const {id} = doc;
+
+        let patched = await client.patch({
+          id,
+          patch: [
+            {op: 'test', path: '/content/name', value: 'a'},
+            {op: 'replace', path: '/content/name', value: 'b'},
+            {op: 'add', path: '/content/tags/-', value: 'y'},
+            {op: 'remove', path: '/content/extra'},
+            {op: 'add', path: '/meta/note', value: 'patched'}
+          ],
+          invocationSigner, keyResolver
+        });
+        patched.sequence.should.equal(1);
+        patched.content.should.deep.equal({name: 'b', tags: ['x', 'y']});
+        patched.meta.should.deep.equal({note: 'patched'});
+
+        // the document is reindexed
+        const {documents} = await client.find(
+          {equals: {'content.name': 'b'}, invocationSigner});
+        documents.map(({id}) => id).should.deep.equal([id]);
+
+        patched = await client.patch({
+          id, format: 'merge-patch',
+          patch: {content: {tags: null, size: 2}, meta: {note: null}},
+          sequence: 1, invocationSigner, keyResolver
+        });
+        patched.content.should.deep.equal({name: 'b', size: 2});
+        patched.meta.should.deep.equal({});
+
+        // a patch for an older version conflicts unless it is rebased
+        const patch = [{op: 'replace', path: '/content/size', value: 3}];
+        let err;
+        try {
+          await client.patch(
+            {id, patch, sequence: 1, invocationSigner, keyResolver});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('InvalidStateError');
+        err.current.sequence.should.equal(2);
+        patched = await client.patch({
+          id, patch, sequence: 1, rebase: true, invocationSigner, keyResolver
+        });
+        patched.sequence.should.equal(3);
+        patched.content.size.should.equal(3);
+
+        // a failed operation leaves the document unchanged
+        err = undefined;
+        try {
+          await client.patch({
+            id,
+            patch: [
+              {op: 'replace', path: '/content/name', value: 'c'},
+              {op: 'test', path: '/content/size', value: 2}
+            ],
+            invocationSigner, keyResolver
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('PatchError');
+        err.operation.should.equal(1);
+        const current = await client.get({id, invocationSigner});
+        current.sequence.should.equal(3);
+        current.content.name.should.equal('b');
+      });
+
+      it('should reject a patch that does not leave a valid document',
+        async () => {
+          const client = await mock.createEdv({cipherVersion});
+          const id = await EdvClient.generateId();
+          await client.insert({
+            doc: {id, content: {name: 'a'}}, invocationSigner, keyResolver
+          });
+
+          const patches = [
+            {patch: [{op: 'remove', path: ''}]},
+            {patch: [{op: 'add', path: '/id', value: 'x'}]},
+            {patch: [{op: 'remove', path: '/content'}]},
+            {patch: [{op: 'replace', path: '/meta', value: 1}]},
+            {patch: [{op: 'move', from: '/content', path: '/other'}]},
+            {patch: JSON.parse(
+              '[{"op": "add", "path": "/content/__proto__", "value": {}}]')},
+            {patch: {content: null}, format: 'merge-patch'},
+            {patch: {id: 'x'}, format: 'merge-patch'},
+            {
+              patch: JSON.parse('{"content": {"__proto__": {"x": 1}}}'),
+              format: 'merge-patch'
+            }
+          ];
+          for(const {patch, format} of patches) {
+            let err;
+            try {
+              await client.patch(
+                {id, patch, format, invocationSigner, keyResolver});
+            } catch(e) {
+              err = e;
+            }
+            should.exist(err, JSON.stringify(patch));
+            err.name.should.equal('PatchError');
+          }
+          const current = await client.get({id, invocationSigner});
+          current.sequence.should.equal(0);
+          current.content.should.deep.equal({name: 'a'});
+        });
+
+      it('should insert, update, and get many documents', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.indexedKey', unique: true});
+        const existing = {
+          id: await EdvClient.generateId(),
+          content: {indexedKey: 'existing'}
+        };
+        await client.insert({doc: existing, invocationSigner, keyResolver});
+
+        const docs = [
+          {content: {indexedKey: 'a'}},
+          {id: existing.id, content: {indexedKey: 'b'}},
+          {content: {indexedKey: 'existing'}},
+          {content: {indexedKey: 'c'}}
+        ];
+        const inserted = await client.insertMany(
+          {docs, invocationSigner, keyResolver, concurrency: 2, batchSize: 3});
+        inserted.length.should.equal(4);
+        inserted[0].doc.content.should.deep.equal({indexedKey: 'a'});
+        inserted[1].id.should.equal(existing.id);
+        inserted[1].error.name.should.equal('DuplicateError');
+        inserted[2].error.name.should.equal('DuplicateError');
+        inserted[3].doc.sequence.should.equal(0);
+
+        const missing = await EdvClient.generateId();
+        const ids = [inserted[0].id, missing, inserted[3].id];
+        const found = await client.getMany({ids, invocationSigner});
+        found.map(({id}) => id).should.deep.equal(ids);
+        found[0].doc.content.should.deep.equal({indexedKey: 'a'});
+        found[1].error.name.should.equal('NotFoundError');
+        found[2].doc.content.should.deep.equal({indexedKey: 'c'});
+
+        // the second document is stale
+        const stale = {...found[2].doc, sequence: found[2].doc.sequence - 1};
+        const updated = await client.updateMany({
+          docs: [
+            {...found[0].doc, content: {indexedKey: 'a2'}},
+            {...stale, content: {indexedKey: 'c2'}}
+          ],
+          invocationSigner, keyResolver
+        });
+        updated[0].doc.sequence.should.equal(1);
+        updated[1].error.name.should.equal('InvalidStateError');
+        const doc = await client.get({id: ids[0], invocationSigner});
+        doc.content.should.deep.equal({indexedKey: 'a2'});
+      });
+
+      it('should insert and get many documents without batches', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        const existing = {
+          id: await EdvClient.generateId(),
+          content: {someKey: 'existing'}
+        };
+        await client.insert({doc: existing, invocationSigner, keyResolver});
+        mock.edvStorage.supportsBatches = false;
+        try {
+          const docs = [
+            {content: {someKey: 'a'}},
+            existing
+          ];
+          const inserted = await client.insertMany(
+            {docs, invocationSigner, keyResolver});
+          should.exist(inserted[0].doc);
+          inserted[1].error.name.should.equal('DuplicateError');
+
+          const ids = [inserted[0].id, await EdvClient.generateId()];
+          const found = await client.getMany({ids, invocationSigner});
+          found[0].doc.content.should.deep.equal({someKey: 'a'});
+          found[1].error.name.should.equal('NotFoundError');
+
+          const updated = await client.updateMany({
+            docs: [{...found[0].doc, content: {someKey: 'b'}}],
+            invocationSigner, keyResolver
+          });
+          updated[0].doc.sequence.should.equal(1);
+        } finally {
+          mock.edvStorage.supportsBatches = true;
+        }
+      });
+
+      it('should fall back when the batch URL is routed as a document',
+        async () => {
+          const client = await mock.createEdv({cipherVersion});
+          mock.edvStorage.supportsBatches = false;
+          mock.edvStorage.routesBatchesAsUpdates = true;
+          try {
+            const docs = [{content: {someKey: 'a'}}, {content: {someKey: 'b'}}];
+            const inserted = await client.insertMany(
+              {docs, invocationSigner, keyResolver});
+            inserted.every(({doc}) => doc).should.equal(true);
+
+            const ids = inserted.map(({id}) => id);
+            const found = await client.getMany({ids, invocationSigner});
+            found.map(({doc}) => doc.content).should.deep.equal(
+              [{someKey: 'a'}, {someKey: 'b'}]);
+          } finally {
+            mock.edvStorage.supportsBatches = true;
+            mock.edvStorage.routesBatchesAsUpdates = false;
+          }
+        });
+
       it('should delete an existing document', async () => {
         const client = await mock.createEdv({cipherVersion});
         const testId = await EdvClient.generateId();
@@ -719,6 +1059,264 @@ describe('EdvClient', () => {
         hasMore.should.equal(true);
       });
 
+      it('should find the next page of documents w/cursor', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.indexedKey'});
+        for(let i = 0; i < 3; ++i) {
+          const doc = {
+            id: await EdvClient.generateId(),
+            content: {indexedKey: `value${i}`}
+          };
+          await client.insert({doc, invocationSigner, keyResolver});
+        }
+        const page1 = await client.find({
+          invocationSigner,
+          has: 'content.indexedKey',
+          limit: 2
+        });
+        page1.documents.length.should.equal(2);
+        page1.hasMore.should.equal(true);
+        page1.cursor.should.be.a('string');
+        const page2 = await client.find({
+          invocationSigner,
+          has: 'content.indexedKey',
+          limit: 2,
+          after: page1.cursor
+        });
+        page2.documents.length.should.equal(1);
+        page2.hasMore.should.equal(false);
+        should.not.exist(page2.cursor);
+        page2.documents[0].content.should.deep.equal({indexedKey: 'value2'});
+      });
+
+      it('should iterate over all documents matching a query', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.indexedKey'});
+        const expected = [];
+        for(let i = 0; i < 5; ++i) {
+          const doc = {
+            id: await EdvClient.generateId(),
+            content: {indexedKey: `value${i}`}
+          };
+          await client.insert({doc, invocationSigner, keyResolver});
+          expected.push(doc.content);
+        }
+        const contents = [];
+        for await (const doc of client.iterate({
+          invocationSigner,
+          has: 'content.indexedKey',
+          pageSize: 2
+        })) {
+          contents.push(doc.content);
+        }
+        contents.should.deep.equal(expected);
+      });
+
+      it('should fill pages of documents using a filter', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.indexedKey'});
+        for(let i = 0; i < 8; ++i) {
+          const doc = {
+            id: await EdvClient.generateId(),
+            content: {indexedKey: 'value', n: i}
+          };
+          await client.insert({doc, invocationSigner, keyResolver});
+        }
+        const query = {
+          invocationSigner,
+          equals: {'content.indexedKey': 'value'},
+          filter: ({content}) => content.n % 2 === 0
+        };
+        const page1 = await client.find({...query, limit: 3});
+        page1.documents.length.should.equal(3);
+        page1.hasMore.should.equal(true);
+        const page2 = await client.find(
+          {...query, limit: 3, after: page1.cursor});
+        page2.documents.length.should.equal(1);
+        page2.hasMore.should.equal(false);
+        should.not.exist(page2.cursor);
+        [...page1.documents, ...page2.documents]
+          .map(({content}) => content.n).should.have.members([0, 2, 4, 6]);
+
+        // `hasMore` is `false` when no more documents match
+        const last = await client.find({...query, limit: 4});
+        last.documents.length.should.equal(4);
+        last.hasMore.should.equal(false);
+
+        (await client.count(query)).should.equal(4);
+        const found = [];
+        for await (const doc of client.iterate({...query, pageSize: 2})) {
+          found.push(doc.content.n);
+        }
+        found.should.have.members([0, 2, 4, 6]);
+
+        // looking ahead stops at the first result past the page that matches
+        const checked = [];
+        await client.find({
+          ...query, limit: 3,
+          filter: ({content}) => {
+            checked.push(content.n);
+            return content.n % 2 === 0;
+          }
+        });
+        checked.should.have.members([0, 1, 2, 3, 4, 5, 6]);
+
+        // a page that ends partway through a page of server results
+        // continues from the next match
+        const pages = [];
+        let after;
+        do {
+          const result = await client.find({
+            ...query, limit: 2, after, filter: ({content}) => content.n !== 1
+          });
+          pages.push(result.documents.map(({content}) => content.n));
+          after = result.cursor;
+          if(!result.hasMore) {
+            break;
+          }
+        } while(true);
+        pages.should.deep.equal([[0, 2], [3, 4], [5, 6], [7]]);
+      });
+
+      it('should report documents that cannot be decrypted', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.indexedKey'});
+        const ids = [];
+        for(let i = 0; i < 3; ++i) {
+          const doc = {
+            id: await EdvClient.generateId(),
+            content: {indexedKey: 'value', n: i}
+          };
+          await client.insert({doc, invocationSigner, keyResolver});
+          ids.push(doc.id);
+        }
+        // corrupt the second document
+        const stored = mock.edvStorage.edvs.get(client.id).documents
+          .get(ids[1]);
+        stored.jwe = {...stored.jwe, ciphertext: stored.jwe.tag};
+        const query = {invocationSigner, has: 'content.indexedKey'};
+
+        let err;
+        try {
+          await client.find(query);
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+
+        const skipped = await client.find({...query, onDecryptError: 'skip'});
+        skipped.documents.map(({id}) => id).should.have.members(
+          [ids[0], ids[2]]);
+        should.not.exist(skipped.errors);
+
+        const collected = await client.find(
+          {...query, onDecryptError: 'collect'});
+        collected.documents.map(({id}) => id).should.have.members(
+          [ids[0], ids[2]]);
+        collected.errors.length.should.equal(1);
+        collected.errors[0].id.should.equal(ids[1]);
+        should.exist(collected.errors[0].error);
+
+        const found = [];
+        for await (const doc of client.iterate(
+          {...query, onDecryptError: 'skip', pageSize: 1})) {
+          found.push(doc.id);
+        }
+        found.should.have.members([ids[0], ids[2]]);
+      });
+
+      it('should find documents without decrypting them', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.indexedKey'});
+        const ids = [];
+        for(let i = 0; i < 3; ++i) {
+          const doc = {
+            id: await EdvClient.generateId(),
+            content: {indexedKey: 'value', n: i}
+          };
+          await client.insert({doc, invocationSigner, keyResolver});
+          ids.push(doc.id);
+        }
+        let decrypted = 0;
+        const {decryptObject} = client.cipher;
+        client.cipher.decryptObject = async (...args) => {
+          decrypted++;
+          return decryptObject.apply(client.cipher, args);
+        };
+        const query = {invocationSigner, has: 'content.indexedKey'};
+
+        const {documents} = await client.find({...query, decrypt: false});
+        decrypted.should.equal(0);
+        documents.map(({id}) => id).should.have.members(ids);
+        const [handle] = documents;
+        handle.sequence.should.equal(0);
+        should.exist(handle.encryptedDoc.jwe);
+        const doc = await handle.decrypt();
+        doc.id.should.equal(handle.id);
+        doc.content.indexedKey.should.equal('value');
+        await handle.decrypt();
+        decrypted.should.equal(1);
+
+        const found = [];
+        for await (const handle of client.iterate(
+          {...query, decrypt: false, pageSize: 2})) {
+          found.push(handle.id);
+        }
+        found.should.have.members(ids);
+        decrypted.should.equal(1);
+
+        let err;
+        try {
+          await client.find({...query, decrypt: false, filter: () => true});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('TypeError');
+      });
+
+      it('should limit concurrent decryption', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.indexedKey'});
+        for(let i = 0; i < 5; ++i) {
+          const doc = {
+            id: await EdvClient.generateId(),
+            content: {indexedKey: 'value', n: i}
+          };
+          await client.insert({doc, invocationSigner, keyResolver});
+        }
+        const limited = new EdvClient({
+          id: client.id, keyAgreementKey: client.keyAgreementKey,
+          hmac: client.hmac, invocationSigner, keyResolver, cipherVersion,
+          decryptConcurrency: 2
+        });
+        limited.ensureIndex({attribute: 'content.indexedKey'});
+        let active = 0;
+        let max = 0;
+        const {decryptObject} = limited.cipher;
+        limited.cipher.decryptObject = async (...args) => {
+          max = Math.max(max, ++active);
+          try {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            return await decryptObject.apply(limited.cipher, args);
+          } finally {
+            active--;
+          }
+        };
+        const {documents} = await limited.find({has: 'content.indexedKey'});
+        documents.length.should.equal(5);
+        max.should.equal(2);
+
+        let err;
+        try {
+          new EdvClient({decryptConcurrency: 0});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('TypeError');
+      });
+
       it('should fail with invalid limit', async () => {
         const client = await mock.createEdv({cipherVersion});
         client.ensureIndex({attribute: 'content.indexedKey'});
@@ -744,6 +1342,154 @@ describe('EdvClient', () => {
           '"limit" must be an integer >= 1 and <= 1000.');
       });
 
+      it('should fail to find using an unindexed attribute', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.indexedKey'});
+        let err;
+        try {
+          await client.find({
+            invocationSigner,
+            equals: {
+              'content.indexedKey': 'value1',
+              'content.typo': 'value2'
+            }
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.contain('"content.typo"');
+        err.message.should.not.contain('"content.indexedKey"');
+      });
+
+      it('should fail to count using an unindexed attribute', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        let err;
+        try {
+          await client.count({invocationSigner, has: 'content.missing'});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.contain('"content.missing"');
+      });
+
+      it('should fail to query a non-leading compound attribute', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: ['content.a', 'content.b']});
+        for(const query of [{equals: {'content.b': 1}}, {has: 'content.b'}]) {
+          let err;
+          try {
+            await client.indexHelper.buildQuery(
+              {hmac: mock.keys.hmac, ...query, strict: true});
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          err.message.should.contain('"content.b"');
+          err.message.should.contain('compound indexes');
+        }
+        const query = await client.indexHelper.buildQuery({
+          hmac: mock.keys.hmac, equals: {'content.a': 1, 'content.b': 2},
+          strict: true
+        });
+        Object.keys(query.equals[0]).length.should.equal(2);
+      });
+
+      it('should ignore an unindexed attribute w/strict=false', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.indexedKey'});
+        const doc = {
+          id: await EdvClient.generateId(),
+          content: {indexedKey: 'value1'}
+        };
+        await client.insert({doc, invocationSigner, keyResolver});
+        const {documents: docs} = await client.find({
+          invocationSigner,
+          has: ['content.indexedKey', 'content.typo'],
+          strict: false
+        });
+        docs.length.should.equal(1);
+      });
+
+      it('should plan a query', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.a'});
+        client.ensureIndex({attribute: ['content.a', 'content.b']});
+        client.ensureIndex({attribute: ['content.c', 'content.b']});
+        const plan = client.indexHelper.planQuery({
+          equals: {'content.a': 1, 'content.b': 2, 'content.x': 3}
+        });
+        plan.should.deep.equal({
+          equals: [{
+            terms: [{
+              attribute: 'content.a',
+              indexes: [
+                {attributes: ['content.a'], unique: false},
+                {attributes: ['content.a', 'content.b'], unique: false}
+              ]
+            }, {
+              attribute: 'content.b',
+              indexes: [
+                {attributes: ['content.a', 'content.b'], unique: false}
+              ]
+            }, {
+              attribute: 'content.x',
+              indexes: []
+            }],
+            unindexed: ['content.x']
+          }]
+        });
+      });
+
+      it('should explain a query', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.a', normalize: 'lowercase'});
+        client.ensureIndex(
+          {attribute: ['content.a', 'content.b', 'content.c'], unique: true});
+        client.ensureIndex({attribute: ['content.x', 'content.y']});
+        const equals = {
+          'content.a': 'A', 'content.b': 'b', 'content.y': 'y', 'content.z': 'z'
+        };
+        const explanation = client.explain({equals, has: 'content.a'});
+        explanation.should.deep.equal({
+          equals: [{
+            terms: [{
+              index: ['content.a'],
+              attributes: ['content.a'],
+              values: {'content.a': 'a'},
+              unique: false
+            }, {
+              index: ['content.a', 'content.b', 'content.c'],
+              attributes: ['content.a', 'content.b'],
+              values: {'content.a': 'a', 'content.b': 'b'},
+              unique: false
+            }]
+          }],
+          has: {
+            terms: [{
+              index: ['content.a'], attributes: ['content.a'], unique: false
+            }]
+          },
+          warnings: [
+            'Attribute "content.z" has not been declared in an index and ' +
+            'will not be used to match documents.',
+            'Attribute "content.y" is only indexed by compound indexes whose ' +
+            'earlier attributes are not in the query and will not be used ' +
+            'to match documents.',
+            'Compound index ["content.a","content.b","content.c"] is only ' +
+            'partially matched by ["content.a","content.b"]; uniqueness ' +
+            'does not apply.'
+          ]
+        });
+
+        // there is one term for every blinded attribute in the query
+        const query = await client.indexHelper.buildQuery(
+          {hmac: mock.keys.hmac, equals, strict: false});
+        Object.keys(query.equals[0]).length.should.equal(
+          explanation.equals[0].terms.length);
+      });
+
       it('should count two documents with an attribute', async () => {
         const client = await mock.createEdv({cipherVersion});
         client.ensureIndex({attribute: 'content.indexedKey'});
@@ -863,7 +1609,8 @@ describe('EdvClient', () => {
         await client.insert({doc: expected, invocationSigner, keyResolver});
         const {documents: docs} = await client.find({
           invocationSigner,
-          has: 'content.b'
+          has: 'content.b',
+          strict: false
         });
         docs.should.be.an('array');
         docs.length.should.equal(0);
@@ -1048,42 +1795,1212 @@ describe('EdvClient', () => {
         docs4[0].content.should.deep.equal(expected.content);
       });
 
-      it('should find two documents with attribute values', async () => {
+      it('should find documents using both "equals" and "has"', async () => {
         const client = await mock.createEdv({cipherVersion});
-        client.ensureIndex({attribute: 'content.indexedKey'});
-        const doc1ID = await EdvClient.generateId();
-        const doc2ID = await EdvClient.generateId();
-        const doc1 = {id: doc1ID, content: {indexedKey: 'value1'}};
-        const doc2 = {id: doc2ID, content: {indexedKey: 'value2'}};
-        await client.insert({doc: doc1, invocationSigner, keyResolver});
-        await client.insert({doc: doc2, invocationSigner, keyResolver});
-        const {documents: docs} = await client.find({
+        client.ensureIndex({attribute: 'content.type'});
+        client.ensureIndex({attribute: 'content.email'});
+        const docs = [
+          {type: 'Person', email: 'alice@example.com'},
+          {type: 'Person'},
+          {type: 'Organization', email: 'info@example.com'}
+        ];
+        for(const content of docs) {
+          const doc = {id: await EdvClient.generateId(), content};
+          await client.insert({doc, invocationSigner, keyResolver});
+        }
+        const {documents} = await client.find({
           invocationSigner,
-          equals: [
-            {'content.indexedKey': 'value1'},
-            {'content.indexedKey': 'value2'}
-          ]
+          equals: {'content.type': 'Person'},
+          has: 'content.email'
         });
-        docs.should.be.an('array');
-        docs.length.should.equal(2);
-        docs[0].should.be.an('object');
-        docs[1].should.be.an('object');
-        docs[0].content.should.deep.equal({indexedKey: 'value1'});
-        docs[1].content.should.deep.equal({indexedKey: 'value2'});
+        documents.length.should.equal(1);
+        documents[0].content.should.deep.equal(docs[0]);
+        const count = await client.count({
+          invocationSigner,
+          equals: {'content.type': 'Person'},
+          has: 'content.email'
+        });
+        count.should.equal(1);
       });
 
-      describe('migrate version 1 blinded attributes to version 2', () => {
-        it('should find a document that equals an attribute value',
-          async () => {
-            // create docs using version 1 attributes
-            const client = await mock.createEdv({
-              invocationSigner, keyResolver, cipherVersion, _attributeVersion: 1
-            });
-            client.ensureIndex({attribute: 'content.indexedKey'});
-            const testId = await EdvClient.generateId();
-            const expected = {id: testId, content: {indexedKey: 'value1'}};
-            await client.insert({doc: expected, invocationSigner, keyResolver});
-            await assertIndexing(client);
+      it('should find documents using both "equals" and "has" when the ' +
+        'server does not support combined filters', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.type'});
+        client.ensureIndex({attribute: 'content.email'});
+        const docs = [
+          {type: 'Person', email: 'alice@example.com'},
+          {type: 'Person'},
+          {type: 'Person', email: 'bob@example.com'},
+          {type: 'Organization', email: 'info@example.com'}
+        ];
+        for(const content of docs) {
+          const doc = {id: await EdvClient.generateId(), content};
+          await client.insert({doc, invocationSigner, keyResolver});
+        }
+        mock.edvStorage.supportsCombinedQueries = false;
+        try {
+          const query = {
+            invocationSigner,
+            equals: {'content.type': 'Person'},
+            has: 'content.email'
+          };
+          // results of the `equals` query are filtered by `has`, so a page
+          // may have fewer than `limit` documents
+          const {queryCount} = mock.edvStorage;
+          const found = [];
+          let pages = 0;
+          let after;
+          do {
+            const result = await client.find({...query, limit: 1, after});
+            result.documents.length.should.be.at.most(1);
+            found.push(...result.documents.map(({content}) => content));
+            pages++;
+            after = result.cursor;
+            if(!result.hasMore) {
+              break;
+            }
+          } while(true);
+          found.should.deep.equal([docs[0], docs[2]]);
+          // the combined query is only sent once
+          (mock.edvStorage.queryCount - queryCount).should.equal(pages + 1);
+          const count = await client.count(query);
+          count.should.equal(2);
+        } finally {
+          mock.edvStorage.supportsCombinedQueries = true;
+        }
+      });
+
+      it('should find documents using an "or" query tree', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.email'});
+        client.ensureIndex({attribute: 'content.phone'});
+        const docs = [
+          {email: 'alice@example.com'},
+          {phone: '555-0100'},
+          {email: 'bob@example.com', phone: '555-0101'},
+          {name: 'Carol'}
+        ];
+        for(const content of docs) {
+          const doc = {id: await EdvClient.generateId(), content};
+          await client.insert({doc, invocationSigner, keyResolver});
+        }
+        const query = {or: [{has: 'content.email'}, {has: 'content.phone'}]};
+        const {documents} = await client.find({invocationSigner, query});
+        documents.map(({content}) => content).should.have.deep.members(
+          docs.slice(0, 3));
+        (await client.count({invocationSigner, query})).should.equal(3);
+
+        // page through the combined results
+        const page1 = await client.find({invocationSigner, query, limit: 2});
+        page1.documents.length.should.equal(2);
+        page1.hasMore.should.equal(true);
+        const page2 = await client.find(
+          {invocationSigner, query, limit: 2, after: page1.cursor});
+        page2.documents.length.should.equal(1);
+        page2.hasMore.should.equal(false);
+        [...page1.documents, ...page2.documents].map(({id}) => id)
+          .should.have.members(documents.map(({id}) => id));
+
+        // iterating fetches the combined results once, not once per page
+        const {queryCount} = mock.edvStorage;
+        const iterated = [];
+        for await (const doc of client.iterate(
+          {invocationSigner, query, pageSize: 1})) {
+          iterated.push(doc.id);
+        }
+        iterated.should.have.members(documents.map(({id}) => id));
+        (mock.edvStorage.queryCount - queryCount).should.equal(2);
+      });
+
+      it('should find documents using a nested query tree', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.type'});
+        client.ensureIndex({attribute: 'content.tags'});
+        client.ensureIndex({attribute: 'content.email'});
+        const docs = [
+          {type: 'Person', tags: ['red', 'blue'], email: 'a@example.com'},
+          {type: 'Person', tags: ['red'], email: 'b@example.com'},
+          {type: 'Organization', tags: ['blue'], email: 'c@example.com'},
+          {type: 'Organization', tags: ['red', 'blue']}
+        ];
+        for(const content of docs) {
+          const doc = {id: await EdvClient.generateId(), content};
+          await client.insert({doc, invocationSigner, keyResolver});
+        }
+
+        // a tree that the server can express is sent as a single query
+        const single = {
+          and: [{
+            or: [
+              {equals: {'content.type': 'Person'}},
+              {equals: {'content.tags': 'blue'}}
+            ]
+          }, {
+            has: 'content.email'
+          }]
+        };
+        client.indexHelper.compileQuery({query: single}).should.deep.equal([[{
+          equals: [{'content.type': 'Person'}, {'content.tags': 'blue'}],
+          has: ['content.email']
+        }]]);
+        let {documents} = await client.find(
+          {invocationSigner, query: single});
+        documents.map(({content}) => content).should.have.deep.members(
+          docs.slice(0, 3));
+        (await client.count({invocationSigner, query: single}))
+          .should.equal(3);
+
+        // different values for the same attribute are intersected
+        const both = {
+          and: [
+            {equals: {'content.tags': 'red'}},
+            {equals: {'content.tags': 'blue'}}
+          ],
+          or: [{has: 'content.email'}, {equals: {'content.type': 'Person'}}]
+        };
+        ({documents} = await client.find({invocationSigner, query: both}));
+        documents.map(({content}) => content).should.deep.equal([docs[0]]);
+        (await client.count({invocationSigner, query: both})).should.equal(1);
+      });
+
+      it('should throw on an invalid query tree', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.a'});
+        let err;
+        try {
+          await client.find({
+            invocationSigner, query: {or: [{has: 'content.a'}, {any: 'x'}]}
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.equal(
+          '"query.or[1]" has unknown properties: "any".');
+        err = undefined;
+        try {
+          await client.find(
+            {invocationSigner, query: {has: 'content.a'}, has: 'content.a'});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.equal(
+          '"query" must not be given with "equals" or "has".');
+      });
+
+      it('should find documents using a number range', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({
+          attribute: 'content.age', range: {type: 'number', granularity: 10}
+        });
+        const ages = [5, 17, 21, 25, 38, 40];
+        for(const age of ages) {
+          const doc = {id: await EdvClient.generateId(), content: {age}};
+          await client.insert({doc, invocationSigner, keyResolver});
+        }
+        const range = {'content.age': {gte: 17, lt: 38}};
+        const {documents} = await client.find({invocationSigner, range});
+        documents.map(({content}) => content.age).should.deep.equal(
+          [17, 21, 25]);
+        const count = await client.count({invocationSigner, range});
+        count.should.equal(3);
+        const iterated = [];
+        for await (const doc of client.iterate(
+          {invocationSigner, range, pageSize: 2})) {
+          iterated.push(doc.content.age);
+        }
+        iterated.should.deep.equal([17, 21, 25]);
+      });
+
+      it('should find documents using a date range and equals', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.type'});
+        client.ensureIndex({
+          attribute: 'content.created', range: {type: 'date'}
+        });
+        const docs = [
+          {type: 'Event', created: '2026-01-01T10:00:00Z'},
+          {type: 'Event', created: '2026-01-02T23:59:59Z'},
+          {type: 'Note', created: '2026-01-02T12:00:00Z'},
+          {type: 'Event', created: '2026-01-03T00:00:00Z'}
+        ];
+        for(const content of docs) {
+          const doc = {id: await EdvClient.generateId(), content};
+          await client.insert({doc, invocationSigner, keyResolver});
+        }
+        const {documents} = await client.find({
+          invocationSigner,
+          equals: {'content.type': 'Event'},
+          range: {
+            'content.created': {
+              gt: '2026-01-01T10:00:00Z', lte: new Date('2026-01-03T00:00:00Z')
+            }
+          }
+        });
+        documents.map(({content}) => content).should.deep.equal(
+          [docs[1], docs[3]]);
+      });
+
+      it('should find documents using explicit number buckets', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({
+          attribute: 'content.price',
+          range: {type: 'number', buckets: [10, 100]}
+        });
+        for(const price of [1, 50, 500]) {
+          const doc = {id: await EdvClient.generateId(), content: {price}};
+          await client.insert({doc, invocationSigner, keyResolver});
+        }
+        const {documents} = await client.find(
+          {invocationSigner, range: {'content.price': {gt: 20}}});
+        documents.map(({content}) => content.price).should.deep.equal(
+          [50, 500]);
+      });
+
+      it('should throw on a range query without a range index', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.age'});
+        let err;
+        try {
+          await client.find(
+            {invocationSigner, range: {'content.age': {gte: 1, lte: 2}}});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.contain('does not have a range index');
+      });
+
+      it('should throw on a range query that is too broad', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({
+          attribute: 'content.age', range: {type: 'number', granularity: 1}
+        });
+        let err;
+        try {
+          await client.find(
+            {invocationSigner, range: {'content.age': {gte: 0, lte: 5000}}});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.contain('too broad');
+      });
+
+      it('should throw on an empty range query', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({
+          attribute: 'content.age', range: {type: 'number', granularity: 10}
+        });
+        for(const bounds of [{gte: 30, lte: 20}, {gt: 20, lt: 20}]) {
+          let err;
+          try {
+            await client.find(
+              {invocationSigner, range: {'content.age': bounds}});
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          err.name.should.equal('TypeError');
+          err.message.should.contain('matches no values');
+        }
+        // equal inclusive bounds match a single value
+        await client.insert({
+          doc: {id: await EdvClient.generateId(), content: {age: 20}},
+          invocationSigner, keyResolver
+        });
+        const {documents} = await client.find(
+          {invocationSigner, range: {'content.age': {gte: 20, lte: 20}}});
+        documents.map(({content}) => content).should.deep.equal([{age: 20}]);
+      });
+
+      it('should throw on a range query without an upper bound', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({
+          attribute: 'content.age', range: {type: 'number', granularity: 10}
+        });
+        let err;
+        try {
+          await client.find(
+            {invocationSigner, range: {'content.age': {gte: 10}}});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.contain('both a lower and an upper bound');
+      });
+
+      it('should find documents using a prefix', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex(
+          {attribute: 'content.name', prefix: {min: 2, max: 4}});
+        const names = ['Alice', 'alfred', 'Albert', 'Bob', ['Carol', 'Alma']];
+        for(const name of names) {
+          const doc = {id: await EdvClient.generateId(), content: {name}};
+          await client.insert({doc, invocationSigner, keyResolver});
+        }
+        const {documents} = await client.find(
+          {invocationSigner, startsWith: {'content.name': ' AL'}});
+        documents.map(({content}) => content.name).should.deep.equal(
+          ['Alice', 'alfred', 'Albert', ['Carol', 'Alma']]);
+        // longer than `max`, so "albe" is queried and results are filtered
+        const count = await client.count(
+          {invocationSigner, startsWith: {'content.name': 'alber'}});
+        count.should.equal(1);
+      });
+
+      it('should throw on a prefix shorter than "min"', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex(
+          {attribute: 'content.name', prefix: {min: 3, max: 5}});
+        let err;
+        try {
+          await client.find(
+            {invocationSigner, startsWith: {'content.name': 'al'}});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.contain('at least 3 character(s)');
+      });
+
+      it('should throw on invalid prefix index options', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        let err;
+        try {
+          client.ensureIndex(
+            {attribute: 'content.name', prefix: {min: 4, max: 2}});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.contain('reveals to the EDV server');
+      });
+
+      it('should not declare any part of an invalid index', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        const {indexHelper} = client;
+        let err;
+        try {
+          client.ensureIndex({
+            attribute: 'content.name', normalize: 'lowercase',
+            range: {type: 'number', granularity: 10},
+            prefix: {min: 1, max: 3}, text: 'yes'
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.contain('"text" must be a boolean');
+        indexHelper.normalizers.has('content.name').should.equal(false);
+        indexHelper.rangeIndexes.has('content.name').should.equal(false);
+        indexHelper.prefixIndexes.has('content.name').should.equal(false);
+        indexHelper.indexes.has('content.name').should.equal(false);
+      });
+
+      it('should find and rank documents using text', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.title', text: true});
+        client.ensureIndex({attribute: 'content.notes', text: true});
+        const docs = [
+          {title: 'Alice', notes: 'Met at the conference.'},
+          {title: 'Smith & Co.', notes: 'Alice Smith works here; ask Smith.'},
+          {title: 'Alice Smith', notes: 'Café owner'},
+          {title: 'Bob', notes: 'No match.'}
+        ];
+        for(const content of docs) {
+          const doc = {id: await EdvClient.generateId(), content};
+          await client.insert({doc, invocationSigner, keyResolver});
+        }
+        let {documents} = await client.find(
+          {invocationSigner, text: 'alice SMITH'});
+        documents.map(({content}) => content).should.deep.equal(
+          [docs[1], docs[2]]);
+        ({documents} = await client.find({
+          invocationSigner,
+          text: {query: 'alice smith', operator: 'or'}
+        }));
+        documents.map(({content}) => content).should.deep.equal(
+          [docs[1], docs[2], docs[0]]);
+        ({documents} = await client.find({
+          invocationSigner,
+          text: {query: 'café', attributes: ['content.notes']}
+        }));
+        documents.map(({content}) => content).should.deep.equal([docs[2]]);
+        const count = await client.count({invocationSigner, text: 'alice'});
+        count.should.equal(3);
+      });
+
+      it('should rank every document matching text unless paged',
+        async () => {
+          const client = await mock.createEdv({cipherVersion});
+          client.ensureIndex({attribute: 'content.title', text: true});
+          const docs = [
+            {title: 'Alice'},
+            {title: 'Alice Jones'},
+            {title: 'Alice Alice Smith'},
+            {title: 'Alice Smith'}
+          ];
+          for(const content of docs) {
+            const doc = {id: await EdvClient.generateId(), content};
+            await client.insert({doc, invocationSigner, keyResolver});
+          }
+          const text = {query: 'alice smith', operator: 'or'};
+          mock.edvStorage.defaultLimit = 2;
+          try {
+            // every matching document is ranked, not only the server's first
+            // page of results
+            const result = await client.find({invocationSigner, text});
+            result.documents.map(({content}) => content).should.deep.equal(
+              [docs[2], docs[3], docs[0], docs[1]]);
+            should.not.exist(result.hasMore);
+
+            // each page is ranked on its own
+            const {documents} = await client.find(
+              {invocationSigner, text, limit: 2});
+            documents.map(({content}) => content).should.deep.equal(
+              [docs[0], docs[1]]);
+          } finally {
+            mock.edvStorage.defaultLimit = undefined;
+          }
+        });
+
+      it('should throw on a text query without a text index', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.title', text: true});
+        let err;
+        try {
+          await client.find({
+            invocationSigner,
+            text: {query: 'alice', attributes: ['content.notes']}
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.contain('does not have a text index');
+      });
+
+      it('should normalize values in documents and queries', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({
+          attribute: 'content.email', unique: true,
+          normalize: ['trim', 'lowercase']
+        });
+        client.ensureIndex({
+          attribute: 'content.code', normalize: value => String(value)
+        });
+        const doc = {
+          id: await EdvClient.generateId(),
+          content: {email: ' Alice@Example.com', code: 42}
+        };
+        await client.insert({doc, invocationSigner, keyResolver});
+        let {documents} = await client.find({
+          invocationSigner, equals: {'content.email': 'alice@EXAMPLE.com '}
+        });
+        documents.length.should.equal(1);
+        documents[0].id.should.equal(doc.id);
+        ({documents} = await client.find(
+          {invocationSigner, equals: {'content.code': '42'}}));
+        documents.length.should.equal(1);
+
+        let err;
+        try {
+          await client.insert({
+            doc: {
+              id: await EdvClient.generateId(),
+              content: {email: 'alice@example.com'}
+            },
+            invocationSigner, keyResolver
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DuplicateError');
+      });
+
+      it('should throw on an invalid normalizer', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        let err;
+        try {
+          client.ensureIndex(
+            {attribute: 'content.email', normalize: 'uppercase'});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.contain('"normalize" must be');
+      });
+
+      it('should find documents using an extracted value', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({
+          name: 'meta.emailDomain',
+          extract: doc => doc.content.email?.split('@')[1],
+          normalize: 'lowercase'
+        });
+        client.ensureIndex({attribute: ['content.type', 'meta.emailDomain']});
+        const docs = [
+          {type: 'Person', email: 'alice@Example.com'},
+          {type: 'Person', email: 'bob@example.org'},
+          {type: 'Organization', email: 'info@example.com'},
+          {type: 'Person'}
+        ];
+        for(const content of docs) {
+          const doc = {id: await EdvClient.generateId(), content};
+          await client.insert({doc, invocationSigner, keyResolver});
+        }
+        let {documents} = await client.find({
+          invocationSigner, equals: {'meta.emailDomain': 'example.com'}
+        });
+        documents.map(({content}) => content).should.deep.equal(
+          [docs[0], docs[2]]);
+        ({documents} = await client.find({
+          invocationSigner,
+          equals: {'content.type': 'Person', 'meta.emailDomain': 'example.com'}
+        }));
+        documents.map(({content}) => content).should.deep.equal([docs[0]]);
+        const count = await client.count(
+          {invocationSigner, has: 'meta.emailDomain'});
+        count.should.equal(3);
+      });
+
+      it('should save and load indexes via an index manifest', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        const {hmac} = client;
+        should.not.exist(await client.loadIndexes({invocationSigner}));
+        client.ensureIndex({
+          attribute: 'content.email', unique: true, normalize: 'lowercase'
+        });
+        client.ensureIndex({attribute: ['content.type', 'content.name']});
+        client.ensureIndex({
+          attribute: 'content.age', range: {type: 'number', granularity: 10}
+        });
+        const saved = await client.saveIndexes(
+          {invocationSigner, keyResolver});
+        saved.indexed.should.deep.equal([]);
+        saved.content.hmacs.should.deep.equal([hmac.id]);
+
+        // a second client loads the same indexes
+        const other = new EdvClient({
+          id: client.id, keyAgreementKey: kak, hmac, invocationSigner,
+          keyResolver, cipherVersion
+        });
+        const loaded = await other.loadIndexes();
+        loaded.content.should.deep.equal(saved.content);
+        other.indexHelper.indexes.get('content.email').should.equal(true);
+        other.indexHelper.compoundIndexes.size.should.equal(1);
+        other.indexHelper.rangeIndexes.get('content.age').should.deep.equal(
+          {type: 'number', granularity: 10});
+
+        // a client with a different HMAC shares the same manifest and
+        // prewarms its cache with its HMAC
+        const otherHmac = await MockHmac.create(
+          {data: crypto.getRandomValues(new Uint8Array(32))});
+        otherHmac.id = 'urn:mockhmac:other';
+        const third = new EdvClient({
+          id: client.id, keyAgreementKey: kak, hmac: otherHmac,
+          invocationSigner, keyResolver, cipherVersion
+        });
+        const prewarmed = [];
+        third.indexHelper._prewarmCache = async ({attributes, hmac}) => {
+          prewarmed.push({attributes, hmac});
+        };
+        (await third.loadIndexes()).content.should.deep.equal(saved.content);
+        prewarmed.map(({attributes}) => attributes).should.deep.equal([
+          ['content.email'], ['content.age'], ['content.type', 'content.name']
+        ]);
+        prewarmed.every(({hmac}) => hmac === otherHmac).should.equal(true);
+
+        // documents written by one client are found by the other
+        const doc = {
+          id: await EdvClient.generateId(),
+          content: {email: 'Alice@example.com', age: 30}
+        };
+        await other.insert({doc});
+        const {documents} = await client.find({
+          invocationSigner, equals: {'content.email': 'alice@example.com'}
+        });
+        documents.length.should.equal(1);
+
+        // saving again merges with the existing manifest
+        other.ensureIndex({attribute: 'content.tag'});
+        const merged = await other.saveIndexes();
+        merged.sequence.should.equal(1);
+        merged.content.indexes.map(({attribute}) => attribute).should.include
+          .members(['content.email', 'content.age', 'content.tag']);
+      });
+
+      it('should merge index declarations in an index manifest', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        const {hmac} = client;
+        client.ensureIndex({
+          attribute: 'content.email', unique: true, normalize: 'lowercase'
+        });
+        client.ensureIndex({
+          attribute: 'content.age', range: {type: 'number', granularity: 10}
+        });
+        await client.saveIndexes({invocationSigner, keyResolver});
+
+        // a client that declares fewer options keeps the shared ones
+        const other = new EdvClient({
+          id: client.id, keyAgreementKey: kak, hmac, invocationSigner,
+          keyResolver, cipherVersion
+        });
+        other.ensureIndex({attribute: 'content.email'});
+        other.ensureIndex({attribute: 'content.age'});
+        const merged = await other.saveIndexes();
+        merged.content.indexes.should.deep.equal([
+          {attribute: 'content.email', unique: true},
+          {
+            attribute: 'content.age', unique: false,
+            range: {type: 'number', granularity: 10}
+          }
+        ]);
+        merged.content.normalizers.should.deep.equal(
+          {'content.email': 'lowercase'});
+
+        // conflicting declarations are rejected when saving...
+        const conflicting = new EdvClient({
+          id: client.id, keyAgreementKey: kak, hmac, invocationSigner,
+          keyResolver, cipherVersion
+        });
+        conflicting.ensureIndex({
+          attribute: 'content.age', range: {type: 'number', granularity: 5}
+        });
+        let err;
+        try {
+          await conflicting.saveIndexes();
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.contain('different "range"');
+
+        // ...and when loading, without changing the local indexes
+        const third = new EdvClient({
+          id: client.id, keyAgreementKey: kak, hmac, invocationSigner,
+          keyResolver, cipherVersion
+        });
+        third.ensureIndex({attribute: 'content.email', normalize: 'trim'});
+        err = undefined;
+        try {
+          await third.loadIndexes();
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.contain('different "normalize"');
+        third.indexHelper.normalizers.get('content.email').normalize
+          .should.equal('trim');
+        third.indexHelper.indexes.has('content.age').should.equal(false);
+      });
+
+      it('should fail to load an index that requires a function', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex(
+          {name: 'meta.domain', extract: doc => doc.content.domain});
+        await client.saveIndexes({invocationSigner, keyResolver});
+        const other = new EdvClient({
+          id: client.id, keyAgreementKey: kak, hmac: client.hmac,
+          invocationSigner, keyResolver, cipherVersion
+        });
+        let err;
+        try {
+          await other.loadIndexes();
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.contain('requires an "extract" function');
+      });
+
+      it('should remove an index entry from a document', async () => {
+        const client = await mock.createEdv(
+          {cipherVersion, invocationSigner, keyResolver});
+        client.ensureIndex({attribute: 'content.indexedKey'});
+        const doc = {
+          id: await EdvClient.generateId(),
+          content: {indexedKey: 'value1'}
+        };
+        const inserted = await client.insert({invocationSigner, doc});
+        await client.removeIndex({invocationSigner, doc: inserted});
+        const {documents} = await client.find(
+          {invocationSigner, equals: {'content.indexedKey': 'value1'}});
+        documents.length.should.equal(0);
+        const stored = await client.get({invocationSigner, id: doc.id});
+        stored.indexed.should.deep.equal([]);
+        stored.sequence.should.equal(inserted.sequence);
+        stored.content.should.deep.equal(doc.content);
+
+        // entry no longer exists
+        let err;
+        try {
+          await client.removeIndex({invocationSigner, doc: stored});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+      });
+
+      it('should fail to remove an index entry with a stale sequence',
+        async () => {
+          const client = await mock.createEdv(
+            {cipherVersion, invocationSigner, keyResolver});
+          client.ensureIndex({attribute: 'content.indexedKey'});
+          const doc = {
+            id: await EdvClient.generateId(),
+            content: {indexedKey: 'value1'}
+          };
+          const inserted = await client.insert({invocationSigner, doc});
+          await client.update({invocationSigner, doc: inserted});
+          let err;
+          try {
+            await client.removeIndex({invocationSigner, doc: inserted});
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          err.name.should.equal('InvalidStateError');
+        });
+
+      it('should remove index entries from all matching documents',
+        async () => {
+          const client = await mock.createEdv(
+            {cipherVersion, invocationSigner, keyResolver});
+          client.ensureIndex({attribute: 'content.indexedKey'});
+          for(let i = 0; i < 3; ++i) {
+            const doc = {
+              id: await EdvClient.generateId(),
+              content: {indexedKey: `value${i}`}
+            };
+            await client.insert({invocationSigner, doc});
+          }
+          const removed = await client.removeIndexes({
+            invocationSigner, hmacId: client.hmac.id, has: 'content.indexedKey'
+          });
+          removed.should.equal(3);
+          const count = await client.count(
+            {invocationSigner, has: 'content.indexedKey'});
+          count.should.equal(0);
+        });
+
+      it('should skip a document deleted while removing index entries',
+        async () => {
+          const client = await mock.createEdv(
+            {cipherVersion, invocationSigner, keyResolver});
+          client.ensureIndex({attribute: 'content.indexedKey'});
+          const ids = [];
+          for(let i = 0; i < 2; ++i) {
+            const doc = {
+              id: await EdvClient.generateId(),
+              content: {indexedKey: `value${i}`}
+            };
+            await client.insert({invocationSigner, doc});
+            ids.push(doc.id);
+          }
+          // the first document is changed and then deleted concurrently, so
+          // removing its entry conflicts and it cannot be fetched again
+          const {documents} = mock.edvStorage.edvs.get(client.id);
+          const {get} = documents;
+          let changed = false;
+          documents.get = function(id) {
+            const doc = get.call(this, id);
+            if(id !== ids[0]) {
+              return doc;
+            }
+            if(changed) {
+              return undefined;
+            }
+            changed = true;
+            return {...doc, sequence: doc.sequence + 1};
+          };
+          let removed;
+          try {
+            removed = await client.removeIndexes({
+              invocationSigner, hmacId: client.hmac.id,
+              has: 'content.indexedKey'
+            });
+          } finally {
+            delete documents.get;
+          }
+          removed.should.equal(1);
+        });
+
+      it('should verify the index entry of a document', async () => {
+        const client = await mock.createEdv(
+          {cipherVersion, invocationSigner, keyResolver});
+        client.ensureIndex({attribute: 'content.a'});
+        const other = new EdvClient({
+          id: client.id, keyAgreementKey: kak, hmac: client.hmac,
+          invocationSigner, keyResolver, cipherVersion
+        });
+        other.ensureIndex({attribute: 'content.a'});
+        other.ensureIndex({attribute: 'content.b'});
+        const doc = {
+          id: await EdvClient.generateId(), content: {a: 'a', b: 'b'}
+        };
+        await client.insert({doc});
+        const stored = await client.get({id: doc.id});
+
+        const result = await client.verifyIndex({doc: stored});
+        result.valid.should.equal(true);
+        result.sequence.should.deep.equal({expected: 0, actual: 0});
+
+        // a client with another index is missing its blinded attribute
+        const missing = await other.verifyIndex({doc: stored});
+        missing.valid.should.equal(false);
+        missing.missing.length.should.equal(1);
+        missing.extra.should.deep.equal([]);
+        missing.mismatched.should.deep.equal([]);
+
+        // a stored entry that was modified
+        const [entry] = stored.indexed;
+        const [attribute] = entry.attributes;
+        const tampered = {
+          ...stored,
+          indexed: [{
+            ...entry,
+            sequence: 1,
+            attributes: [
+              {...attribute, value: 'tampered'},
+              {name: 'extra', value: 'extra'}
+            ]
+          }]
+        };
+        const changed = await client.verifyIndex({doc: tampered});
+        changed.valid.should.equal(false);
+        changed.missing.should.deep.equal([]);
+        changed.extra.should.deep.equal([{name: 'extra', value: 'extra'}]);
+        changed.mismatched.should.deep.equal([{
+          name: attribute.name,
+          expected: [attribute],
+          actual: [{...attribute, value: 'tampered'}]
+        }]);
+        changed.sequence.should.deep.equal({expected: 0, actual: 1});
+      });
+
+      it('should repair index entries of matching documents', async () => {
+        const client = await mock.createEdv(
+          {cipherVersion, invocationSigner, keyResolver});
+        client.ensureIndex({attribute: 'content.a'});
+        for(let i = 0; i < 3; ++i) {
+          const doc = {
+            id: await EdvClient.generateId(), content: {a: `a${i}`, b: 'b'}
+          };
+          await client.insert({doc});
+        }
+        const other = new EdvClient({
+          id: client.id, keyAgreementKey: kak, hmac: client.hmac,
+          invocationSigner, keyResolver, cipherVersion
+        });
+        other.ensureIndex({attribute: 'content.a'});
+        other.ensureIndex({attribute: 'content.b'});
+
+        (await other.repairIndexes({has: 'content.a'})).should.deep.equal(
+          {verified: 3, repaired: 3});
+        (await other.count({equals: {'content.b': 'b'}})).should.equal(3);
+        (await other.repairIndexes({has: 'content.a'})).should.deep.equal(
+          {verified: 3, repaired: 0});
+      });
+
+      it('should find documents using more than one HMAC', async () => {
+        const client = await mock.createEdv(
+          {cipherVersion, invocationSigner, keyResolver});
+        client.ensureIndex({attribute: 'content.indexedKey'});
+        const otherHmac = await MockHmac.create(
+          {data: crypto.getRandomValues(new Uint8Array(32))});
+        otherHmac.id = 'urn:mockhmac:other';
+        const other = new EdvClient({
+          id: client.id, keyAgreementKey: kak, hmac: otherHmac,
+          invocationSigner, keyResolver, cipherVersion
+        });
+        other.ensureIndex({attribute: 'content.indexedKey'});
+
+        const ids = [];
+        for(const [i, writer] of [client, client, other].entries()) {
+          const doc = {
+            id: await EdvClient.generateId(),
+            content: {indexedKey: `value${i}`}
+          };
+          await writer.insert({doc});
+          ids.push(doc.id);
+        }
+        // index a newer version of the first document under both HMACs
+        const first = await client.get({id: ids[0]});
+        const updated = await client.update(
+          {doc: {...first, content: {indexedKey: 'updated'}}});
+        await other.updateIndex({doc: updated});
+
+        const hmac = [client.hmac, otherHmac];
+        const {documents} = await client.find(
+          {hmac, has: 'content.indexedKey'});
+        documents.map(({id}) => id).should.have.members(ids);
+        documents.find(({id}) => id === ids[0]).content.indexedKey
+          .should.equal('updated');
+        (await client.count({hmac, has: 'content.indexedKey'}))
+          .should.equal(3);
+        (await client.count({hmac, equals: {'content.indexedKey': 'updated'}}))
+          .should.equal(1);
+
+        // page through the combined results; every document is returned
+        // once and no page has more than `limit` documents
+        for(const limit of [1, 2]) {
+          const found = [];
+          let after;
+          do {
+            const result = await client.find(
+              {hmac, has: 'content.indexedKey', limit, after});
+            result.documents.length.should.be.at.most(limit);
+            found.push(...result.documents.map(({id}) => id));
+            after = result.cursor;
+            if(!result.hasMore) {
+              break;
+            }
+          } while(true);
+          found.should.have.members(ids);
+        }
+      });
+
+      it('should blind attributes via "signMany" when available', async () => {
+        for(const _attributeVersion of [1, 2]) {
+          const client = await mock.createEdv(
+            {cipherVersion, invocationSigner, keyResolver, _attributeVersion});
+          const batching = new EdvClient({
+            id: client.id, keyAgreementKey: kak, invocationSigner,
+            keyResolver, cipherVersion, _attributeVersion
+          });
+          for(const c of [client, batching]) {
+            c.ensureIndex({attribute: ['content.a', 'content.b']});
+            c.ensureIndex({attribute: 'content.c'});
+          }
+          // set HMAC after declaring indexes to skip prewarming the cache
+          const hmac = batching.hmac = _createBatchHmac({hmac: client.hmac});
+          const content = {a: 'a', b: ['b1', 'b2'], c: 'c'};
+          await batching.insert(
+            {doc: {id: await EdvClient.generateId(), content}});
+          hmac.calls.sign.should.equal(0);
+          // version 1 blinds simple attributes then compound attributes
+          hmac.calls.signMany.should.equal(_attributeVersion === 1 ? 2 : 1);
+          await batching.insert(
+            {doc: {id: await EdvClient.generateId(), content}});
+          if(_attributeVersion === 2) {
+            // signatures are cached
+            hmac.calls.signMany.should.equal(1);
+          }
+
+          // blinded attributes are the same as those made via `sign()`
+          const count = await client.count(
+            {equals: {'content.a': 'a', 'content.b': 'b2'}});
+          count.should.equal(2);
+        }
+      });
+
+      it('should fail when "signMany" returns too few signatures', async () => {
+        const client = await mock.createEdv(
+          {cipherVersion, invocationSigner, keyResolver});
+        const hmac = _createBatchHmac({hmac: client.hmac});
+        hmac.signMany = async () => [];
+        client.ensureIndex({attribute: 'content.a'});
+        let err;
+        try {
+          await client.insert({
+            hmac, doc: {id: await EdvClient.generateId(), content: {a: 'a'}}
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.contain('one signature for each data item');
+      });
+
+      it('should reuse blinded values from a cache store', async () => {
+        const client = await mock.createEdv(
+          {cipherVersion, invocationSigner, keyResolver});
+        const store = new Map();
+        const _createClient = () => {
+          const c = new EdvClient({
+            id: client.id, keyAgreementKey: kak, invocationSigner,
+            keyResolver, cipherVersion, cache: {max: 10, store}
+          });
+          c.ensureIndex({attribute: ['content.a', 'content.b']});
+          c.hmac = _createBatchHmac({hmac: client.hmac});
+          return c;
+        };
+        const content = {a: 'a', b: 'b'};
+
+        const first = _createClient();
+        await first.insert({doc: {id: await EdvClient.generateId(), content}});
+        const stats = first.getCacheStats();
+        stats.hits.should.equal(0);
+        stats.misses.should.be.above(0);
+        store.size.should.equal(stats.misses);
+
+        // a new client (e.g., after a restart) uses the stored values
+        const second = _createClient();
+        await second.insert({doc: {id: await EdvClient.generateId(), content}});
+        second.getCacheStats().should.deep.equal(
+          {hits: stats.misses, misses: 0});
+        second.hmac.calls.signMany.should.equal(0);
+
+        // clearing the cache for another HMAC keeps the stored values
+        await second.clearCache({hmacId: 'urn:mockhmac:other'});
+        store.size.should.equal(stats.misses);
+        await second.clearCache({hmacId: client.hmac.id});
+        store.size.should.equal(0);
+        await second.insert({doc: {id: await EdvClient.generateId(), content}});
+        second.getCacheStats().misses.should.equal(stats.misses);
+      });
+
+      it('should not use expired blinded values from a cache store',
+        async () => {
+          const client = await mock.createEdv(
+            {cipherVersion, invocationSigner, keyResolver});
+          client.ensureIndex({attribute: 'content.a'});
+          const store = new Map();
+          const other = new EdvClient({
+            id: client.id, keyAgreementKey: kak, hmac: client.hmac,
+            invocationSigner, keyResolver, cipherVersion,
+            cache: {ttl: 60000, store}
+          });
+          other.ensureIndex({attribute: 'content.a'});
+          await other.insert(
+            {doc: {id: await EdvClient.generateId(), content: {a: 'a'}}});
+          store.size.should.be.above(0);
+          for(const record of store.values()) {
+            record.expires.should.be.above(Date.now());
+            record.expires = Date.now() - 1;
+          }
+
+          const next = new EdvClient({
+            id: client.id, keyAgreementKey: kak, invocationSigner,
+            keyResolver, cipherVersion, cache: {ttl: 60000, store}
+          });
+          next.ensureIndex({attribute: 'content.a'});
+          next.hmac = client.hmac;
+          await next.count({equals: {'content.a': 'a'}});
+          next.getCacheStats().should.deep.equal({hits: 0, misses: 2});
+        });
+
+      it('should throw IndexLimitError for too many values', async () => {
+        const client = await mock.createEdv(
+          {cipherVersion, invocationSigner, keyResolver});
+        const limited = new EdvClient({
+          id: client.id, keyAgreementKey: kak, hmac: client.hmac,
+          invocationSigner, keyResolver, cipherVersion,
+          indexLimits: {maxAttributeValues: 2}
+        });
+        limited.ensureIndex({attribute: 'content.a'});
+        const doc = {
+          id: await EdvClient.generateId(), content: {a: ['x', 'y', 'z']}
+        };
+        let err;
+        try {
+          await limited.insert({doc});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('IndexLimitError');
+        err.index.should.deep.equal(['content.a']);
+        err.message.should.equal(
+          'Attribute "content.a" has 3 values, more than the limit of 2 in ' +
+          'index "content.a".');
+      });
+
+      it('should throw IndexLimitError for too many blinded attributes',
+        async () => {
+          const client = await mock.createEdv(
+            {cipherVersion, invocationSigner, keyResolver});
+          const hmac = _createBatchHmac({hmac: client.hmac});
+          const limited = new EdvClient({
+            id: client.id, keyAgreementKey: kak, invocationSigner,
+            keyResolver, cipherVersion, indexLimits: {maxEntryAttributes: 10}
+          });
+          limited.ensureIndex({attribute: 'content.a'});
+          limited.ensureIndex({attribute: ['content.b', 'content.c']});
+          limited.hmac = hmac;
+          const doc = {
+            id: await EdvClient.generateId(),
+            content: {a: 'a', b: ['1', '2', '3'], c: ['4', '5', '6', '7']}
+          };
+          let err;
+          try {
+            await limited.insert({doc});
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          err.name.should.equal('IndexLimitError');
+          err.index.should.deep.equal(['content.b', 'content.c']);
+          err.message.should.contain('would have 16 blinded attributes');
+          // nothing was blinded
+          hmac.calls.signMany.should.equal(0);
+
+          // a smaller document is within the limit
+          doc.content.c = ['4'];
+          await limited.insert({doc});
+        });
+
+      it('should estimate the size of an index entry', async () => {
+        const client = await mock.createEdv(
+          {cipherVersion, invocationSigner, keyResolver});
+        client.ensureIndex({attribute: 'content.a'});
+        client.ensureIndex({attribute: ['content.a', 'content.b']});
+        client.ensureIndex({attribute: 'content.c'});
+        const doc = {
+          id: await EdvClient.generateId(),
+          content: {a: ['1', '2'], b: ['3', '4', '5']}
+        };
+        client.estimateEntrySize({doc}).should.deep.equal({
+          count: 8,
+          indexes: [
+            {attributes: ['content.a'], count: 2},
+            {attributes: ['content.a', 'content.b'], count: 6}
+          ]
+        });
+      });
+
+      it('should find two documents with attribute values', async () => {
+        const client = await mock.createEdv({cipherVersion});
+        client.ensureIndex({attribute: 'content.indexedKey'});
+        const doc1ID = await EdvClient.generateId();
+        const doc2ID = await EdvClient.generateId();
+        const doc1 = {id: doc1ID, content: {indexedKey: 'value1'}};
+        const doc2 = {id: doc2ID, content: {indexedKey: 'value2'}};
+        await client.insert({doc: doc1, invocationSigner, keyResolver});
+        await client.insert({doc: doc2, invocationSigner, keyResolver});
+        const {documents: docs} = await client.find({
+          invocationSigner,
+          equals: [
+            {'content.indexedKey': 'value1'},
+            {'content.indexedKey': 'value2'}
+          ]
+        });
+        docs.should.be.an('array');
+        docs.length.should.equal(2);
+        docs[0].should.be.an('object');
+        docs[1].should.be.an('object');
+        docs[0].content.should.deep.equal({indexedKey: 'value1'});
+        docs[1].content.should.deep.equal({indexedKey: 'value2'});
+      });
+
+      describe('migrate version 1 blinded attributes to version 2', () => {
+        it('should find a document that equals an attribute value',
+          async () => {
+            // create docs using version 1 attributes
+            const client = await mock.createEdv({
+              invocationSigner, keyResolver, cipherVersion, _attributeVersion: 1
+            });
+            client.ensureIndex({attribute: 'content.indexedKey'});
+            const testId = await EdvClient.generateId();
+            const expected = {id: testId, content: {indexedKey: 'value1'}};
+            await client.insert({doc: expected, invocationSigner, keyResolver});
+            await assertIndexing(client);
             async function assertIndexing(client) {
               const {documents: docs} = await client.find({
                 equals: {'content.indexedKey': 'value1'}
@@ -1548,3 +3465,23 @@ function _createAttributeVersion2EdvClient({client}) {
     cipherVersion: client.cipher.version
   });
 }
+
+function _createBatchHmac({hmac}) {
+  const calls = {sign: 0, signMany: 0};
+  return {
+    id: hmac.id,
+    type: hmac.type,
+    calls,
+    async sign({data}) {
+      calls.sign++;
+      return hmac.sign({data});
+    },
+    async verify({data, signature}) {
+      return hmac.verify({data, signature});
+    },
+    async signMany({data}) {
+      calls.signMany++;
+      return Promise.all(data.map(data => hmac.sign({data})));
+    }
+  };
+}
@@ -63,6 +63,29 @@ describe('EdvDocument', () => {
     should.not.exist(err);
     result.should.equal(true);
   });
+  it('should patch a document using EdvDocument', async () => {
+    const {invocationSigner, keyResolver} = mock;
+    const client = await mock.createEdv();
+    const doc1Id = await EdvClient.generateId();
+    const doc1 = {id: doc1Id, content: {someKey: 'value1'}};
+    await client.insert({doc: doc1, invocationSigner, keyResolver});
+    const doc = new EdvDocument({
+      invocationSigner,
+      id: doc1.id,
+      keyAgreementKey: client.keyAgreementKey,
+      capability: {
+        id: `${client.id}`,
+        invocationTarget: `${client.id}/documents/${doc1.id}`
+      },
+      keyResolver
+    });
+    const result = await doc.patch({
+      format: 'merge-patch', patch: {content: {otherKey: 'value2'}}
+    });
+    result.sequence.should.equal(1);
+    const read = await doc.read();
+    read.content.should.deep.equal({someKey: 'value1', otherKey: 'value2'});
+  });
   it('should throw error if creating EdvDocument without id or capability',
     async () => {
       const {invocationSigner, keyResolver} = mock;
@@ -0,0 +1,206 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {EdvClient, EdvMigrator} from '../lib/index.js';
+import mock from './mock.js';
+
+describe('EdvMigrator', () => {
+  let invocationSigner;
+  let keyResolver;
+  before(async () => {
+    await mock.init();
+    ({invocationSigner, keyResolver} = mock);
+  });
+  after(async () => {
+    await mock.server.shutdown();
+  });
+
+  it('should migrate documents to version 2 attributes', async () => {
+    const {from, to} = await _createClients({count: 5});
+    (await _count({client: to})).should.equal(0);
+
+    const checkpoints = [];
+    const savedIds = [];
+    const checkpointStore = {
+      async get() {
+        return checkpoints.at(-1);
+      },
+      async set(checkpoint) {
+        checkpoints.push(checkpoint);
+      },
+      async getIds() {
+        return savedIds.at(-1);
+      },
+      async setIds(ids) {
+        savedIds.push(ids);
+      }
+    };
+    const progress = [];
+    const migrator = new EdvMigrator({
+      from, to, has: 'content.indexedKey', checkpointStore, pageSize: 2,
+      onProgress: event => progress.push(event)
+    });
+    migrator.reencrypt.should.equal(false);
+    const result = await migrator.run();
+    result.should.deep.equal({migrated: 5});
+    progress.should.deep.equal([
+      {migrated: 2, done: false},
+      {migrated: 4, done: false},
+      {migrated: 5, done: true}
+    ]);
+    checkpoints.should.deep.equal([
+      {next: 0, migrated: 0, done: false},
+      {next: 2, migrated: 2, done: false},
+      {next: 4, migrated: 4, done: false},
+      {migrated: 5, done: true}
+    ]);
+    // the IDs are only saved once
+    savedIds.length.should.equal(1);
+    savedIds[0].length.should.equal(5);
+    (await _count({client: to})).should.equal(5);
+    (await _count({client: from})).should.equal(0);
+
+    // running again with the same store is a no-op
+    (await migrator.run()).should.deep.equal({migrated: 5});
+  });
+
+  it('should reject an invalid page size', async () => {
+    const {from, to} = await _createClients({count: 0});
+    for(const pageSize of [0, 1001, 1.5]) {
+      let err;
+      try {
+        new EdvMigrator({from, to, pageSize});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceOf(TypeError);
+      err.message.should.contain('"pageSize"');
+    }
+  });
+
+  it('should migrate documents that drop out of the query', async () => {
+    // migrated documents no longer match the version 1 query, so a server
+    // that pages by position would skip documents if pages were requested
+    // while migrating
+    const {from, to} = await _createClients({count: 5});
+    mock.edvStorage.usesOffsetCursors = true;
+    try {
+      const result = await new EdvMigrator(
+        {from, to, has: 'content.indexedKey', pageSize: 2}).run();
+      result.should.deep.equal({migrated: 5});
+    } finally {
+      mock.edvStorage.usesOffsetCursors = false;
+    }
+    (await _count({client: to})).should.equal(5);
+    (await _count({client: from})).should.equal(0);
+  });
+
+  it('should resume a migration from a checkpoint', async () => {
+    const {from, to} = await _createClients({count: 4});
+    let checkpoint;
+    let ids;
+    const checkpointStore = {
+      async get() {
+        return checkpoint;
+      },
+      async set(value) {
+        checkpoint = value;
+      },
+      async getIds() {
+        return ids;
+      },
+      async setIds(value) {
+        ids = value;
+      }
+    };
+
+    // fail the third document
+    const {updateIndex} = to;
+    let calls = 0;
+    to.updateIndex = async function(...args) {
+      if(++calls === 3) {
+        throw new Error('Network error.');
+      }
+      return updateIndex.apply(this, args);
+    };
+    let err;
+    try {
+      await new EdvMigrator({
+        from, to, has: 'content.indexedKey', checkpointStore, pageSize: 2,
+        concurrency: 1
+      }).run();
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.equal('Network error.');
+    checkpoint.migrated.should.equal(2);
+    checkpoint.done.should.equal(false);
+
+    const result = await new EdvMigrator({
+      from, to, has: 'content.indexedKey', checkpointStore, pageSize: 2
+    }).run();
+    result.should.deep.equal({migrated: 4});
+    (await _count({client: to, count: 4})).should.equal(4);
+  });
+
+  it('should retry a document that was changed concurrently', async () => {
+    const {from, to} = await _createClients({count: 1});
+    const {updateIndex} = to;
+    let changed = false;
+    to.updateIndex = async function({doc}) {
+      if(!changed) {
+        // another writer updates the document first
+        changed = true;
+        await from.update({doc: {...doc, content: {indexedKey: 'changed'}}});
+      }
+      return updateIndex.call(this, {doc});
+    };
+    const result = await new EdvMigrator(
+      {from, to, has: 'content.indexedKey'}).run();
+    result.should.deep.equal({migrated: 1});
+    const {documents} = await to.find({has: 'content.indexedKey'});
+    documents.length.should.equal(1);
+    documents[0].content.should.deep.equal({indexedKey: 'changed'});
+  });
+
+  it('should re-encrypt when the clients use different EDVs', async () => {
+    const {from} = await _createClients({count: 0});
+    const other = await mock.createEdv({invocationSigner, keyResolver});
+    const migrator = new EdvMigrator({from, to: other, has: 'content.a'});
+    migrator.reencrypt.should.equal(true);
+  });
+
+  async function _createClients({count}) {
+    const from = await mock.createEdv(
+      {invocationSigner, keyResolver, _attributeVersion: 1});
+    from.ensureIndex({attribute: 'content.indexedKey'});
+    for(let i = 0; i < count; ++i) {
+      const doc = {
+        id: await EdvClient.generateId(),
+        content: {indexedKey: `value${i}`}
+      };
+      await from.insert({doc});
+    }
+    const to = new EdvClient({
+      id: from.id,
+      keyAgreementKey: from.keyAgreementKey,
+      hmac: from.hmac,
+      invocationSigner,
+      keyResolver
+    });
+    to.ensureIndex({attribute: 'content.indexedKey'});
+    return {from, to};
+  }
+
+  // counts documents by value; blinded attribute names are the same in both
+  // versions, so `has` would match documents with either version
+  async function _count({client, count = 5}) {
+    const equals = [];
+    for(let i = 0; i < count; ++i) {
+      equals.push({'content.indexedKey': `value${i}`});
+    }
+    return client.count({equals});
+  }
+});
@@ -0,0 +1,178 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {EdvClient, EdvHmacRotator} from '../lib/index.js';
+import crypto from './crypto.js';
+import mock from './mock.js';
+import {MockHmac} from './MockHmac.js';
+
+describe('EdvHmacRotator', () => {
+  let invocationSigner;
+  let keyResolver;
+  let newHmac;
+  before(async () => {
+    await mock.init();
+    ({invocationSigner, keyResolver} = mock);
+    newHmac = await MockHmac.create(
+      {data: crypto.getRandomValues(new Uint8Array(32))});
+    newHmac.id = 'urn:mockhmac:2';
+  });
+  after(async () => {
+    await mock.server.shutdown();
+  });
+
+  it('should rotate index entries to a new HMAC', async () => {
+    const client = await _createClient({count: 5});
+    const oldHmac = client.hmac;
+    const checkpoints = [];
+    const savedIds = [];
+    const checkpointStore = {
+      async get() {
+        return checkpoints.at(-1);
+      },
+      async set(checkpoint) {
+        checkpoints.push(checkpoint);
+      },
+      async getIds() {
+        return savedIds.at(-1);
+      },
+      async setIds(ids) {
+        savedIds.push(ids);
+      }
+    };
+    const progress = [];
+    const rotator = new EdvHmacRotator({
+      client, oldHmac, newHmac, has: 'content.indexedKey', checkpointStore,
+      pageSize: 2, onProgress: event => progress.push(event)
+    });
+
+    (await rotator.addEntries()).should.deep.equal({migrated: 5});
+    progress.at(-1).should.deep.equal(
+      {phase: 'add', migrated: 5, done: true});
+    checkpoints.at(-1).should.deep.equal(
+      {phase: 'add', migrated: 5, done: true});
+
+    // either HMAC can be used during the transition
+    (await _count({client, hmac: oldHmac})).should.equal(5);
+    (await _count({client, hmac: newHmac})).should.equal(5);
+
+    (await rotator.removeEntries()).should.deep.equal({migrated: 5});
+    progress.at(-1).should.deep.equal(
+      {phase: 'remove', migrated: 5, done: true});
+    (await _count({client, hmac: oldHmac})).should.equal(0);
+    (await _count({client, hmac: newHmac})).should.equal(5);
+
+    const {documents} = await client.find(
+      {hmac: newHmac, has: 'content.indexedKey'});
+    for(const doc of documents) {
+      doc.indexed.map(({hmac}) => hmac.id).should.deep.equal([newHmac.id]);
+    }
+  });
+
+  it('should not remove entries before they are added', async () => {
+    const client = await _createClient({count: 1});
+    let checkpoint = {phase: 'add', next: 0, migrated: 0, done: false};
+    let ids = [];
+    const checkpointStore = {
+      async get() {
+        return checkpoint;
+      },
+      async set(value) {
+        checkpoint = value;
+      },
+      async getIds() {
+        return ids;
+      },
+      async setIds(value) {
+        ids = value;
+      }
+    };
+    let err;
+    try {
+      await new EdvHmacRotator({
+        client, oldHmac: client.hmac, newHmac, has: 'content.indexedKey',
+        checkpointStore
+      }).removeEntries();
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.contain('must be added before');
+    (await _count({client, hmac: client.hmac, count: 1})).should.equal(1);
+  });
+
+  it('should require adding entries on an instance without a store',
+    async () => {
+      const client = await _createClient({count: 5});
+      const oldHmac = client.hmac;
+      let err;
+      try {
+        await new EdvHmacRotator(
+          {client, oldHmac, newHmac, has: 'content.indexedKey'})
+          .removeEntries();
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('must be added before');
+
+      const rotator = new EdvHmacRotator(
+        {client, oldHmac, newHmac, has: 'content.indexedKey', pageSize: 2});
+      await rotator.addEntries();
+      (await rotator.removeEntries()).should.deep.equal({migrated: 5});
+      (await _count({client, hmac: oldHmac})).should.equal(0);
+      (await _count({client, hmac: newHmac})).should.equal(5);
+    });
+
+  it('should add missing entries before removing old ones', async () => {
+    const client = await _createClient({count: 4});
+    const oldHmac = client.hmac;
+    const rotator = new EdvHmacRotator(
+      {client, oldHmac, newHmac, has: 'content.indexedKey', pageSize: 2});
+    await rotator.addEntries();
+
+    // a client still using the old HMAC writes a document
+    await client.insert({
+      doc: {id: await EdvClient.generateId(), content: {indexedKey: 'value4'}}
+    });
+    (await _count({client, hmac: newHmac})).should.equal(4);
+
+    (await rotator.removeEntries()).should.deep.equal({migrated: 5});
+    (await _count({client, hmac: oldHmac})).should.equal(0);
+    (await _count({client, hmac: newHmac})).should.equal(5);
+  });
+
+  it('should reject the same HMAC', async () => {
+    const client = await _createClient({count: 0});
+    let err;
+    try {
+      new EdvHmacRotator({client, oldHmac: client.hmac, newHmac: client.hmac});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.equal(
+      '"oldHmac" and "newHmac" must have different IDs.');
+  });
+
+  async function _createClient({count}) {
+    const client = await mock.createEdv({invocationSigner, keyResolver});
+    client.ensureIndex({attribute: 'content.indexedKey'});
+    for(let i = 0; i < count; ++i) {
+      const doc = {
+        id: await EdvClient.generateId(),
+        content: {indexedKey: `value${i}`}
+      };
+      await client.insert({doc});
+    }
+    return client;
+  }
+
+  async function _count({client, hmac, count = 5}) {
+    const equals = [];
+    for(let i = 0; i < count; ++i) {
+      equals.push({'content.indexedKey': `value${i}`});
+    }
+    return client.count({hmac, equals});
+  }
+});
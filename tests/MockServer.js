@@ -87,13 +87,16 @@ export class MockServer {
           const [status] = result;
           if(status > 300) {
             const error = new Error('A HTTP error occurred.');
+            // an error body, if given, is exposed as `data` like http-client
+            const data = result.length > 2 ? result[2] : {};
             error.response = {
               headers: new Map([['content-type', 'application/json']]),
-              json: async () => ({}),
-              data: {},
+              json: async () => data,
+              data,
               status,
             };
             error.status = status;
+            error.data = data;
             switch(status) {
               case 404:
                 error.name = 'NotFoundError';
@@ -14,6 +14,26 @@ export class MockStorage {
     this.documents = new Map();
     this.revocations = new Map();
     this.chunks = new Map();
+    // set to `false` to emulate a server that rejects queries that combine
+    // `equals` and `has`
+    this.supportsCombinedQueries = true;
+    // set to `false` to emulate a server that has no batch endpoint
+    this.supportsBatches = true;
+    // set to `true` along with `supportsBatches` set to `false` to emulate a
+    // server whose document update route handles the batch URL and rejects
+    // the batch as an invalid document
+    this.routesBatchesAsUpdates = false;
+    // set to `true` to reject document updates whose `sequence` does not
+    // follow the stored document's with a conflict error
+    this.checksSequence = false;
+    // set to `true` to emulate a server whose cursor is the position of the
+    // next page in the results rather than the ID of the last document
+    this.usesOffsetCursors = false;
+    // set to a number to emulate a server that pages results by default
+    // when a query has no `limit`
+    this.defaultLimit = undefined;
+    // the number of queries received, to check how many requests are made
+    this.queryCount = 0;
 
     const baseUrl = BASE_URL;
     const root = '/edvs';
@@ -160,6 +180,13 @@ export class MockStorage {
       }
 
       const {json: query} = JSON.parse(request.requestBody);
+      this.queryCount++;
+      if(query.equals && query.has && !this.supportsCombinedQueries) {
+        return [400, undefined, {
+          name: 'ValidationError',
+          message: 'A validation error occurred in the "edvQuery" validator.'
+        }];
+      }
       const index = edv.indexes.get(query.index);
       if(!index) {
         // index does not exist
@@ -167,7 +194,7 @@ export class MockStorage {
       }
 
       // build results
-      const results = [];
+      let results = [];
       if(query.equals) {
         for(const equals of query.equals) {
           let matches = null;
@@ -209,18 +236,42 @@ export class MockStorage {
             }
           }
         }
-        results.push(...(matches || []));
+        if(query.equals) {
+          // documents must match both `equals` and `has`
+          results = results.filter(x => (matches || []).includes(x));
+        } else {
+          results.push(...(matches || []));
+        }
       }
       if(query.count === true) {
         return [200, undefined, {count: results.length}];
       }
 
-      const {limit} = query;
-      const result = {documents: results};
+      // order results by document insertion order so pages are stable
+      const order = [...edv.documents.keys()];
+      results.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+
+      // the cursor is the ID of the last document in the previous page
+      let documents = results;
+      let offset = 0;
+      if(query.after !== undefined) {
+        if(this.usesOffsetCursors) {
+          offset = Number(query.after);
+          documents = results.slice(offset);
+        } else {
+          const position = order.indexOf(query.after);
+          documents = results.filter(x => order.indexOf(x.id) > position);
+        }
+      }
+
+      const {limit = this.defaultLimit} = query;
+      const result = {documents};
       if(limit !== undefined) {
-        result.hasMore = results.length > limit;
+        result.hasMore = documents.length > limit;
         if(result.hasMore) {
           result.documents.length = limit;
+          result.cursor = this.usesOffsetCursors ?
+            String(offset + limit) : documents[limit - 1].id;
         }
       }
       return [200, undefined, result];
@@ -295,20 +346,25 @@ export class MockStorage {
       for(const attribute of entry.attributes) {
         this.removeFromIndex({
           index: index.equals,
-          key: attribute.name + '=' + attribute.value
+          key: attribute.name + '=' + attribute.value,
+          doc
         });
         this.removeFromIndex({
           index: index.has,
-          key: attribute.name
+          key: attribute.name,
+          doc
         });
       }
     }
   }
 
-  removeFromIndex({index, key}) {
+  removeFromIndex({index, key, doc}) {
     const docSet = index.get(key);
     if(docSet) {
-      index.delete(key);
+      docSet.delete(doc);
+      if(docSet.size === 0) {
+        index.delete(key);
+      }
     }
   }
 
@@ -336,10 +392,53 @@ export class MockStorage {
       if(docId !== doc.id) {
         return [400, undefined];
       }
+      const oldDoc = edv.documents.get(docId);
+      if(this.checksSequence && oldDoc &&
+        doc.sequence !== oldDoc.sequence + 1) {
+        return [409, undefined];
+      }
       this.store({edv, doc});
       return [204, undefined];
     });
 
+    // update a document's index entry
+    server.post(`${route}/index`, request => {
+      const docId = getDocId(request.route.slice(0, -'/index'.length));
+      const {json: entry} = JSON.parse(request.requestBody);
+      const oldDoc = edv.documents.get(docId);
+      if(!oldDoc) {
+        return [404, undefined];
+      }
+      if(entry.sequence !== oldDoc.sequence) {
+        return [409, undefined];
+      }
+      const indexed = oldDoc.indexed.filter(
+        e => e.hmac.id !== entry.hmac.id);
+      indexed.push(entry);
+      this.store({edv, doc: {...oldDoc, indexed}});
+      return [204, undefined];
+    });
+
+    // remove a document's index entry
+    server.delete(`${route}/index/:hmacId`, request => {
+      const url = new URL(request.route);
+      const [docId, , hmacId] = url.pathname.split('/').slice(-3);
+      const oldDoc = edv.documents.get(docId);
+      if(!oldDoc) {
+        return [404, undefined];
+      }
+      if(url.searchParams.get('sequence') !== String(oldDoc.sequence)) {
+        return [409, undefined];
+      }
+      const id = decodeURIComponent(hmacId);
+      const indexed = oldDoc.indexed.filter(e => e.hmac.id !== id);
+      if(indexed.length === oldDoc.indexed.length) {
+        return [404, undefined];
+      }
+      this.store({edv, doc: {...oldDoc, indexed}});
+      return [204, undefined];
+    });
+
     // get a document
     server.get(route, request => {
       const docId = getDocId(request.route);
@@ -349,6 +448,55 @@ export class MockStorage {
       }
       return [200, undefined, doc];
     });
+
+    // perform a batch of operations on documents; this is registered after
+    // the document routes so that it takes precedence over them
+    server.post(`${edv.config.id}/documents/batch`, request => {
+      if(!this.supportsBatches) {
+        if(this.routesBatchesAsUpdates) {
+          return [400, undefined, {
+            name: 'ValidationError',
+            message: 'A validation error occurred in the "edvDocument" ' +
+              'validator.'
+          }];
+        }
+        return [404, undefined];
+      }
+      const {json: {operation, documents, ids}} = JSON.parse(
+        request.requestBody);
+      let results;
+      if(operation === 'get') {
+        results = ids.map(id => {
+          const document = edv.documents.get(id);
+          return document ? {status: 200, document} : {status: 404};
+        });
+      } else if(operation === 'insert') {
+        results = documents.map(doc => {
+          if(edv.documents.has(doc.id)) {
+            return {status: 409};
+          }
+          try {
+            this.store({edv, doc, create: true});
+          } catch(e) {
+            return {status: 409};
+          }
+          return {status: 201};
+        });
+      } else if(operation === 'update') {
+        results = documents.map(doc => {
+          const oldDoc = edv.documents.get(doc.id);
+          const sequence = oldDoc ? oldDoc.sequence + 1 : 0;
+          if(doc.sequence !== sequence) {
+            return {status: 409};
+          }
+          this.store({edv, doc});
+          return {status: 204};
+        });
+      } else {
+        return [400, undefined];
+      }
+      return [200, undefined, {results}];
+    });
   }
 }
 